@@ -1,42 +1,110 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { WagmiProvider } from 'wagmi';
 import { QueryClientProvider } from '@tanstack/react-query';
 import { config } from './wagmiConfig';
 import { queryClient } from './config/queryClient';
-import EnhancedMobilePaymentFlow from './EnhancedMobilePaymentFlow';
-import AppWithWagmi from './AppWithWagmi';
+import usePaymentStore from './stores/paymentStore';
+import PaymentFlow from './PaymentFlow';
+import { isEip681Uri, parseEip681Uri } from './utils/eip681Utils';
+import { expandPayloadParams } from './utils/paymentPayload';
 
-// Enhanced detection for mobile-optimized experience
+// Whether the link has enough to start a payment (the flow's presentation comes from the store's flowOptions)
 const detectPaymentMode = () => {
-  const params = new URLSearchParams(window.location.search);
-  const isMobileParam = params.get('isMobile') === 'true';
+  // Compact links carry their fields in a single p= payload; the flow reports undecodable ones
+  let params = new URLSearchParams(window.location.search);
+  try {
+    params = expandPayloadParams(params);
+  } catch (payloadError) {
+    console.error('❌ Invalid compact payment payload:', payloadError);
+  }
   const paymentId = params.get('paymentId');
   const contractAddress = params.get('contractAddress');
   const tokenContract = params.get('tokenContract');
+  const paymentUri = params.get('uri'); // EIP-681 payment request
 
-  // 🔧 CRITICAL FIX: Only require paymentId - EnhancedMobilePaymentFlow will fetch missing data from backend
-  const hasValidParams = !!paymentId; // Only paymentId required
-  const hasFullParams = !!(paymentId && contractAddress && tokenContract);
-  const isMobileDevice = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+  // 🔧 CRITICAL FIX: Only require paymentId - the payment flow will fetch missing data from backend
+  const hasValidParams = !!paymentId || !!paymentUri; // Only paymentId (or a payment request URI) required
 
   return {
-    useEnhancedFlow: isMobileParam || (isMobileDevice && hasValidParams),
     hasValidParams,
-    hasFullParams,
-    isMobileDevice,
     paymentId,
     contractAddress,
     tokenContract
   };
 };
 
+// Paste an EIP-681 payment request (ethereum:...) with the payment ID it belongs to, and reload the screen with
+// both; the flow pays the request only once it matches the payment on record
+const PaymentRequestInput = () => {
+  const [value, setValue] = useState('');
+  const [paymentId, setPaymentId] = useState('');
+  const [inputError, setInputError] = useState('');
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const uri = value.trim();
+
+    if (!isEip681Uri(uri)) {
+      setInputError('Paste a payment request starting with ethereum:');
+      return;
+    }
+
+    try {
+      parseEip681Uri(uri);
+    } catch (err) {
+      setInputError(err.message);
+      return;
+    }
+
+    if (!paymentId.trim()) {
+      setInputError('Enter the payment ID from the merchant so the request can be checked');
+      return;
+    }
+
+    window.location.search = `?paymentId=${encodeURIComponent(paymentId.trim())}&uri=${encodeURIComponent(uri)}`;
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 text-left">
+      <label className="block font-semibold text-gray-800 mb-2" htmlFor="payment-request">
+        Have a payment request?
+      </label>
+      <input
+        id="payment-request"
+        type="text"
+        value={value}
+        onChange={(e) => { setValue(e.target.value); setInputError(''); }}
+        placeholder="ethereum:0x...@1/transfer?address=0x...&uint256=..."
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm font-mono mb-2"
+      />
+      <input
+        id="payment-request-id"
+        type="text"
+        value={paymentId}
+        onChange={(e) => { setPaymentId(e.target.value); setInputError(''); }}
+        placeholder="Payment ID"
+        aria-label="Payment ID"
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm font-mono mb-2"
+      />
+      {inputError && <p className="text-sm text-red-600 mb-2">{inputError}</p>}
+      <button
+        type="submit"
+        className="w-full bg-blue-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-blue-700"
+      >
+        Open Payment Request
+      </button>
+    </form>
+  );
+};
+
 const App = () => {
   const paymentMode = detectPaymentMode();
+  const { flowOptions } = usePaymentStore.getState();
 
   console.log('🚀 Coinley Payment Screen Starting...', {
-    mode: paymentMode.useEnhancedFlow ? 'Enhanced Mobile' : 'Legacy',
+    presentation: flowOptions.presentation,
+    autoApprove: flowOptions.autoApprove,
     hasValidParams: paymentMode.hasValidParams,
-    isMobileDevice: paymentMode.isMobileDevice,
     userAgent: navigator.userAgent,
     url: window.location.href,
     paymentId: paymentMode.paymentId
@@ -45,12 +113,8 @@ const App = () => {
   return (
     <WagmiProvider config={config}>
       <QueryClientProvider client={queryClient}>
-        {paymentMode.useEnhancedFlow && paymentMode.hasValidParams ? (
-          // Use enhanced mobile flow for mobile devices with proper parameters
-          <EnhancedMobilePaymentFlow />
-        ) : paymentMode.hasValidParams ? (
-          // Use legacy flow for desktop or devices without mobile flag
-          <AppWithWagmi />
+        {paymentMode.hasValidParams ? (
+          <PaymentFlow />
         ) : (
           // Show error for invalid parameters
           <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-4">
@@ -72,6 +136,7 @@ const App = () => {
                   {!paymentMode.tokenContract && <li>• Token Contract</li>}
                 </ul>
               </div>
+              <PaymentRequestInput />
               <button
                 onClick={() => window.close()}
                 className="w-full bg-gray-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-gray-700"
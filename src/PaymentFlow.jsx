@@ -0,0 +1,23 @@
+import usePaymentStore from './stores/paymentStore';
+import { usePaymentFlow } from './hooks/usePaymentFlow';
+import { PaymentActionsContext } from './hooks/usePaymentActions';
+import { PRESENTATIONS } from './utils/flowOptionsUtils';
+import MobilePaymentLayout from './components/payment/MobilePaymentLayout';
+import DesktopPaymentLayout from './components/payment/DesktopPaymentLayout';
+
+/**
+ * The payment screen: one execution core (usePaymentFlow) under a mobile or desktop
+ * presentation, chosen by the flow options
+ */
+const PaymentFlow = () => {
+  const presentation = usePaymentStore((state) => state.flowOptions.presentation);
+  const actions = usePaymentFlow();
+
+  return (
+    <PaymentActionsContext.Provider value={actions}>
+      {presentation === PRESENTATIONS.DESKTOP ? <DesktopPaymentLayout /> : <MobilePaymentLayout />}
+    </PaymentActionsContext.Provider>
+  );
+};
+
+export default PaymentFlow;
@@ -0,0 +1,130 @@
+import { useAccount, useConnect } from 'wagmi';
+import usePaymentStore from '../../stores/paymentStore';
+import { usePaymentActions } from '../../hooks/usePaymentActions';
+import { formatTransactionHash } from '../../utils/formatUtils';
+import { MISMATCH_TYPES, MISMATCH_OUTCOMES } from '../../utils/amountMismatchUtils';
+
+/**
+ * Wallet-app payment for a different amount than invoiced: top up / settle later, or refund / leave the excess
+ */
+const AmountMismatchStep = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const amountMismatch = usePaymentStore((state) => state.amountMismatch);
+  const refundAddress = usePaymentStore((state) => state.refundAddress);
+  const setRefundAddress = usePaymentStore((state) => state.setRefundAddress);
+  const mismatchResolution = usePaymentStore((state) => state.mismatchResolution);
+  const processing = usePaymentStore((state) => state.processing);
+  const { isConnected } = useAccount();
+  const { isPending } = useConnect();
+  const { executePayment, connectWallet, acceptUnderpayment, resolveOverpayment } = usePaymentActions();
+
+  const underpaid = amountMismatch.type === MISMATCH_TYPES.UNDERPAID;
+
+  return (
+    <div className="p-6">
+      <div className="text-center mb-6">
+        <div className="w-16 h-16 mx-auto bg-yellow-500 rounded-full flex items-center justify-center mb-4">
+          <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+          </svg>
+        </div>
+        <h2 className="text-xl font-bold text-gray-800 mb-2">{underpaid ? 'Payment Incomplete' : 'Payment Exceeds Invoice'}</h2>
+        <p className="text-gray-600">
+          {underpaid
+            ? `Your payment was received but is ${amountMismatch.difference} ${paymentData.token} short of the invoice.`
+            : `Your payment was received but is ${amountMismatch.difference} ${paymentData.token} more than the invoice.`}
+        </p>
+      </div>
+
+      <div className="bg-gray-50 rounded-xl p-4 mb-6">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600 text-sm">Invoice amount:</span>
+          <span className="font-semibold">{amountMismatch.expected} {paymentData.token}</span>
+        </div>
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600 text-sm">Amount paid:</span>
+          <span className="font-semibold">{amountMismatch.paid} {paymentData.token}</span>
+        </div>
+        <div className="flex justify-between items-center">
+          <span className="text-gray-600 text-sm">{underpaid ? 'Shortfall:' : 'Excess:'}</span>
+          <span className={`font-semibold ${underpaid ? 'text-red-600' : 'text-green-700'}`}>{amountMismatch.difference} {paymentData.token}</span>
+        </div>
+        {amountMismatch.transactionHash && (
+          <p className="text-xs text-gray-500 font-mono mt-3">TX: {formatTransactionHash(amountMismatch.transactionHash)}</p>
+        )}
+      </div>
+
+      {!underpaid && (
+        <div className="mb-4">
+          <label htmlFor="refund-address" className="block text-sm text-gray-700 mb-2">
+            Refund the excess to
+          </label>
+          <input
+            id="refund-address"
+            type="text"
+            value={refundAddress}
+            onChange={(event) => setRefundAddress(event.target.value)}
+            placeholder="0x..."
+            disabled={mismatchResolution.loading}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono text-sm"
+          />
+        </div>
+      )}
+
+      {mismatchResolution.error && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 mb-4">
+          <p className="text-sm text-yellow-700">{mismatchResolution.error}</p>
+        </div>
+      )}
+
+      {/* Outcome reported: nothing left to choose */}
+      {mismatchResolution.notice && (
+        <div className="bg-green-50 border border-green-200 rounded-xl p-4 mb-4">
+          <p className="text-sm text-green-700">{mismatchResolution.notice}</p>
+        </div>
+      )}
+
+      {!mismatchResolution.notice && (
+        <div className="space-y-3">
+          {underpaid ? (
+            <>
+              <button
+                onClick={isConnected ? executePayment : connectWallet}
+                disabled={processing || mismatchResolution.loading || isPending}
+                className="w-full bg-green-600 text-white py-4 px-6 rounded-xl font-semibold hover:bg-green-700 disabled:opacity-50 transition-colors"
+              >
+                {isConnected ? `Pay Remaining ${amountMismatch.difference} ${paymentData.token}` : 'Connect Wallet to Top Up'}
+              </button>
+              <button
+                onClick={acceptUnderpayment}
+                disabled={processing || mismatchResolution.loading}
+                className="w-full bg-gray-200 text-gray-700 py-3 px-6 rounded-xl font-semibold hover:bg-gray-300 disabled:opacity-50"
+              >
+                {mismatchResolution.loading ? 'Notifying merchant...' : 'Settle With the Merchant Later'}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => resolveOverpayment(MISMATCH_OUTCOMES.REFUND_REQUESTED)}
+                disabled={mismatchResolution.loading || !refundAddress.trim()}
+                className="w-full bg-green-600 text-white py-4 px-6 rounded-xl font-semibold hover:bg-green-700 disabled:opacity-50 transition-colors"
+              >
+                {mismatchResolution.loading ? 'Submitting...' : 'Request Refund'}
+              </button>
+              <button
+                onClick={() => resolveOverpayment(MISMATCH_OUTCOMES.REFUND_DECLINED)}
+                disabled={mismatchResolution.loading}
+                className="w-full bg-gray-200 text-gray-700 py-3 px-6 rounded-xl font-semibold hover:bg-gray-300 disabled:opacity-50"
+              >
+                Leave the Excess With the Merchant
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AmountMismatchStep;
@@ -0,0 +1,101 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { usePaymentActions } from '../../hooks/usePaymentActions';
+import { STATUS_UPDATE_MODES } from '../../utils/statusStreamUtils';
+import InstallmentSummary from './InstallmentSummary';
+
+/**
+ * Payment sent from the wallet app; the payer asks us to look for it
+ */
+const AwaitingVerificationStep = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const error = usePaymentStore((state) => state.error);
+  const verifying = usePaymentStore((state) => state.verifying);
+  const statusUpdateMode = usePaymentStore((state) => state.statusUpdateMode);
+  const { verifyPayment, restartPayment } = usePaymentActions();
+
+  return (
+    <div className="p-6">
+      <div className="text-center mb-6">
+        <div className="w-16 h-16 mx-auto bg-blue-100 rounded-full flex items-center justify-center mb-4">
+          <svg className="w-8 h-8 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+        </div>
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Complete Payment in Wallet</h2>
+        <p className="text-gray-600 mb-4">
+          After completing the transaction in your wallet app, return here. This page moves on by itself once the
+          payment is confirmed, or you can click the button below to verify it now.
+        </p>
+      </div>
+
+      {/* How the backend's confirmation reaches this page */}
+      {statusUpdateMode && (
+        <div className="flex items-center justify-center gap-2 text-xs text-gray-500 mb-4">
+          <span className={`w-2 h-2 rounded-full ${statusUpdateMode === STATUS_UPDATE_MODES.STREAM ? 'bg-green-500' : 'bg-yellow-500'} animate-pulse`}></span>
+          {statusUpdateMode === STATUS_UPDATE_MODES.STREAM
+            ? 'Waiting for confirmation (live updates)'
+            : 'Waiting for confirmation (checking every few seconds)'}
+        </div>
+      )}
+
+      {/* Payment Details */}
+      <div className="bg-gray-50 rounded-xl p-4 mb-6">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600 text-sm">Amount:</span>
+          <span className="font-semibold">{paymentData.amount} {paymentData.token}</span>
+        </div>
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600 text-sm">Merchant:</span>
+          <span className="font-semibold text-sm">{paymentData.merchant}</span>
+        </div>
+        <div className="flex justify-between items-center">
+          <span className="text-gray-600 text-sm">Payment ID:</span>
+          <span className="font-mono text-xs">{paymentData.paymentId.slice(0, 12)}...</span>
+        </div>
+      </div>
+
+      {paymentData.installments && <InstallmentSummary />}
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 mb-4">
+          <p className="text-sm text-yellow-700">{error}</p>
+        </div>
+      )}
+
+      {/* Verification Button */}
+      <button
+        onClick={verifyPayment}
+        disabled={verifying}
+        className="w-full bg-blue-600 text-white py-4 px-6 rounded-xl font-semibold hover:bg-blue-700 disabled:opacity-50 transition-colors mb-3"
+      >
+        {verifying ? (
+          <span className="flex items-center justify-center">
+            <svg className="animate-spin h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            Verifying Payment...
+          </span>
+        ) : (
+          'I Have Paid - Verify Now'
+        )}
+      </button>
+
+      <p className="text-xs text-gray-500 text-center">
+        This will check the blockchain to confirm your payment was received.
+      </p>
+
+      {/* Only for payers whose wallet shows nothing was sent; paying again otherwise pays twice */}
+      <button
+        onClick={restartPayment}
+        disabled={verifying}
+        className="w-full text-sm text-gray-600 py-3 mt-3 hover:text-gray-800 disabled:opacity-50"
+      >
+        My wallet shows no payment - pay now
+      </button>
+    </div>
+  );
+};
+
+export default AwaitingVerificationStep;
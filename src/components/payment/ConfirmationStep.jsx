@@ -0,0 +1,130 @@
+import { useAccount } from 'wagmi';
+import usePaymentStore from '../../stores/paymentStore';
+import { useNetworkFeePreview } from '../../hooks/usePaymentApi';
+import { usePaymentActions } from '../../hooks/usePaymentActions';
+import { isNativeTokenPayment } from '../../utils/tokenUtils';
+import { getSplitRecipients, hasAdditionalRecipients } from '../../utils/splitUtils';
+import { getInvoiceSummary, getInstallmentCharge, getInstallmentError } from '../../utils/paymentDataUtils';
+import ExpiryCountdown from './ExpiryCountdown';
+import InvoiceDetails from './InvoiceDetails';
+import InstallmentSummary from './InstallmentSummary';
+import InstallmentInput from './InstallmentInput';
+import NetworkOptions from './NetworkOptions';
+
+/**
+ * Payment details, fee estimate and the button that executes the payment
+ */
+const ConfirmationStep = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const processing = usePaymentStore((state) => state.processing);
+  const switchingNetwork = usePaymentStore((state) => state.switchingNetwork);
+  const transactionStep = usePaymentStore((state) => state.transactionStep);
+  const installmentAmount = usePaymentStore((state) => state.installmentAmount);
+  const autoApprove = usePaymentStore((state) => state.flowOptions.autoApprove);
+  const { address } = useAccount();
+  const feePreview = useNetworkFeePreview(paymentData, address);
+  const { executePayment } = usePaymentActions();
+
+  return (
+    <div className="p-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-6 text-center">Confirm Payment</h2>
+
+      <ExpiryCountdown />
+
+      <InvoiceDetails />
+
+      {paymentData.installments && <InstallmentSummary />}
+
+      {paymentData.installments && <InstallmentInput />}
+
+      {/* Enhanced payment details display */}
+      <div className="bg-gray-50 rounded-xl p-4 mb-6">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600">Total Amount:</span>
+          <span className="font-semibold text-lg">{paymentData.amount} {paymentData.token}</span>
+        </div>
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600">Merchant:</span>
+          <span className="font-semibold">{paymentData.merchant}</span>
+        </div>
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600">Network:</span>
+          <span className="font-semibold">{paymentData.network}</span>
+        </div>
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600">Payment Type:</span>
+          <span className="font-semibold">{isNativeTokenPayment(paymentData) ? 'Native coin' : 'Token'}</span>
+        </div>
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600">Network Fee (est.):</span>
+          <span className="font-semibold text-sm text-right">
+            {!feePreview || feePreview.loading ? 'Estimating...' :
+             feePreview.error ? 'Unavailable' :
+             `~${feePreview.nativeFee.toPrecision(3)} ${feePreview.symbol}${feePreview.usdFee !== null ? ` (≈ $${feePreview.usdFee.toFixed(2)})` : ''}`}
+          </span>
+        </div>
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-600">Payment ID:</span>
+          <span className="font-mono text-sm">{paymentData.paymentId.slice(0, 8)}...</span>
+        </div>
+        <div className="flex justify-between items-center">
+          <span className="text-gray-600">Your Wallet:</span>
+          <span className="font-mono text-sm">{address?.slice(0, 6)}...{address?.slice(-4)}</span>
+        </div>
+      </div>
+
+      {/* Marketplace splits: show every wallet that receives a share */}
+      {hasAdditionalRecipients(paymentData) && (
+        <div className="bg-gray-50 rounded-xl p-4 mb-6">
+          <p className="text-gray-600 mb-2">Payment Split:</p>
+          {getSplitRecipients(paymentData)
+            .filter(recipient => recipient.address && Number(recipient.percentage) > 0)
+            .map(recipient => (
+              <div key={recipient.index} className="flex justify-between items-center text-sm mb-1">
+                <span className="font-mono">{recipient.address.slice(0, 6)}...{recipient.address.slice(-4)}</span>
+                <span className="font-semibold">{(Number(recipient.percentage) / 100).toFixed(2)}%</span>
+              </div>
+            ))}
+        </div>
+      )}
+
+      <NetworkOptions />
+
+      {feePreview && !feePreview.loading && !feePreview.error && !feePreview.hasEnoughNative && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
+          <p className="text-sm text-red-700">
+            {isNativeTokenPayment(paymentData)
+              ? `Your ${feePreview.symbol} balance does not cover the payment plus network fees.`
+              : `You need about ${feePreview.nativeFee.toPrecision(3)} ${feePreview.symbol} in your wallet to pay network fees.`}
+          </p>
+        </div>
+      )}
+
+      {/* Auto-approval starts full payments by itself; installments wait for the payer's amount */}
+      {autoApprove && !paymentData.installments && !processing && (
+        <p className="text-sm text-purple-700 text-center mb-3">
+          Your wallet will ask you to approve this payment in a moment.
+        </p>
+      )}
+
+      {/* Enhanced confirmation button */}
+      <button
+        onClick={executePayment}
+        disabled={processing || switchingNetwork || getInvoiceSummary(paymentData)?.matches === false || (paymentData.installments && !!getInstallmentError(paymentData, installmentAmount))}
+        className="w-full bg-green-600 text-white py-4 px-6 rounded-xl font-semibold hover:bg-green-700 disabled:opacity-50 transition-colors"
+      >
+        {processing ? `Processing ${transactionStep}...` : paymentData.installments
+          ? `Pay ${getInstallmentCharge(paymentData, installmentAmount)} ${paymentData.token}`
+          : 'Confirm Payment'}
+      </button>
+
+      <p className="text-xs text-gray-500 text-center mt-4">
+        {isNativeTokenPayment(paymentData)
+          ? `This will send ${paymentData.amount} ${paymentData.token} in a single transaction. No token approval is needed; network fees are paid from the same balance.`
+          : 'This will execute a split payment transaction. Supported tokens only need a signature; others need a separate approval transaction first.'}
+      </p>
+    </div>
+  );
+};
+
+export default ConfirmationStep;
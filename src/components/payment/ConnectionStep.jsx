@@ -0,0 +1,50 @@
+import { useConnect } from 'wagmi';
+import usePaymentStore from '../../stores/paymentStore';
+import { usePaymentActions } from '../../hooks/usePaymentActions';
+import ExpiryCountdown from './ExpiryCountdown';
+
+/**
+ * Wallet connection (automatic inside wallet browsers, a button elsewhere)
+ */
+const ConnectionStep = () => {
+  const walletEnv = usePaymentStore((state) => state.walletEnv);
+  const { error: connectError, isPending } = useConnect();
+  const { connectWallet } = usePaymentActions();
+
+  return (
+    <div className="text-center p-8">
+      <div className="w-16 h-16 mx-auto bg-blue-500 rounded-full flex items-center justify-center mb-4">
+        <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z" />
+        </svg>
+      </div>
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Connect Your Wallet</h2>
+      <p className="text-gray-600 mb-6">
+        {walletEnv?.isInAppBrowser
+          ? `Connecting to ${walletEnv?.walletType}...`
+          : 'Please connect your wallet to continue with the payment'
+        }
+      </p>
+
+      <ExpiryCountdown />
+
+      {!walletEnv?.isInAppBrowser && (
+        <button
+          onClick={connectWallet}
+          disabled={isPending}
+          className="w-full bg-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-purple-700 disabled:opacity-50"
+        >
+          {isPending ? 'Connecting...' : 'Connect Wallet'}
+        </button>
+      )}
+
+      {connectError && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{connectError.message}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStep;
@@ -0,0 +1,120 @@
+import { useAccount } from 'wagmi';
+import usePaymentStore from '../../stores/paymentStore';
+
+/**
+ * Debug console and payment info shown next to the payment card in debug mode
+ */
+const DebugPanel = () => {
+  const debugLogs = usePaymentStore((state) => state.debugLogs);
+  const showDebugPanel = usePaymentStore((state) => state.showDebugPanel);
+  const copySuccess = usePaymentStore((state) => state.copySuccess);
+  const toggleDebugPanel = usePaymentStore((state) => state.toggleDebugPanel);
+  const copyLogsToClipboard = usePaymentStore((state) => state.copyLogsToClipboard);
+  const clearLogs = usePaymentStore((state) => state.clearLogs);
+  const currentStep = usePaymentStore((state) => state.currentStep);
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const transactionHash = usePaymentStore((state) => state.transactionHash);
+  const { address, chain } = useAccount();
+
+  return (
+    <div className="lg:w-1/2">
+      <div className="bg-gray-900 rounded-2xl shadow-xl overflow-hidden">
+        <div className="bg-gray-800 p-4 flex items-center justify-between">
+          <h2 className="text-white font-bold">🔍 Debug Console</h2>
+          <button
+            onClick={toggleDebugPanel}
+            className="text-gray-400 hover:text-white text-sm"
+          >
+            {showDebugPanel ? 'Hide' : 'Show'}
+          </button>
+        </div>
+
+        {showDebugPanel && (
+          <div className="p-4 max-h-[600px] overflow-y-auto">
+            <div className="space-y-2">
+              {debugLogs.length === 0 ? (
+                <div className="text-gray-400 text-sm">No logs yet. Actions will appear here...</div>
+              ) : (
+                debugLogs.map(log => (
+                  <div key={log.id} className="border-b border-gray-700 pb-2">
+                    <div className="flex items-start gap-2">
+                      <span className={`text-xs px-2 py-1 rounded font-bold ${
+                        log.type === 'error' ? 'bg-red-600 text-white' :
+                        log.type === 'success' ? 'bg-green-600 text-white' :
+                        log.type === 'debug' ? 'bg-blue-600 text-white' :
+                        log.type === 'warning' ? 'bg-yellow-600 text-white' :
+                        'bg-gray-600 text-white'
+                      }`}>
+                        {log.type.toUpperCase()}
+                      </span>
+                      <span className="text-gray-400 text-xs">{log.timestamp}</span>
+                    </div>
+                    <div className="text-green-400 text-sm mt-1">{log.message}</div>
+                    {log.data && (
+                      <details className="mt-1">
+                        <summary className="cursor-pointer text-blue-400 text-xs hover:text-blue-300">
+                          View Details
+                        </summary>
+                        <pre className="mt-1 p-2 bg-gray-800 rounded text-xs text-gray-300 overflow-x-auto">
+                          {JSON.stringify(log.data, null, 2)}
+                        </pre>
+                      </details>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+
+            {debugLogs.length > 0 && (
+              <div className="mt-4 flex gap-2">
+                <button
+                  onClick={copyLogsToClipboard}
+                  className="px-3 py-1 bg-blue-600 text-white rounded text-xs hover:bg-blue-700 flex items-center gap-1"
+                >
+                  {copySuccess ? '✅ Copied!' : '📋 Copy Logs'}
+                </button>
+                <button
+                  onClick={clearLogs}
+                  className="px-3 py-1 bg-red-600 text-white rounded text-xs hover:bg-red-700"
+                >
+                  Clear Logs
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Quick Info Panel */}
+      <div className="bg-white rounded-2xl shadow-xl p-4 mt-4">
+        <h3 className="font-bold text-gray-800 mb-2">Payment Info</h3>
+        <div className="text-xs space-y-1">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Status:</span>
+            <span className="font-semibold">{currentStep}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Wallet:</span>
+            <span className="font-semibold">{address ? `${address.slice(0, 6)}...${address.slice(-4)}` : 'Not connected'}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Network:</span>
+            <span className="font-semibold">{chain?.name || 'Not connected'}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Payment ID:</span>
+            <span className="font-semibold">{paymentData?.paymentId ? `${paymentData.paymentId.slice(0, 8)}...` : 'N/A'}</span>
+          </div>
+          {transactionHash && (
+            <div className="flex justify-between">
+              <span className="text-gray-600">TX Hash:</span>
+              <span className="font-semibold">{`${transactionHash.slice(0, 8)}...`}</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DebugPanel;
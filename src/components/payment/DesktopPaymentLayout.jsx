@@ -0,0 +1,28 @@
+import { DEBUG_MODE } from '../../utils/debugUtils';
+import PaymentSteps from './PaymentSteps';
+import DebugPanel from './DebugPanel';
+
+/**
+ * Desktop presentation: centered payment card, with the debug panel below it in debug mode
+ */
+const DesktopPaymentLayout = () => (
+  <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex flex-col items-center justify-center p-4 gap-4">
+    <div className="bg-white rounded-2xl shadow-xl p-8 max-w-md w-full">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-center bg-gradient-to-r from-purple-700 to-blue-600 bg-clip-text text-transparent">
+          Coinley Pay
+        </h1>
+      </div>
+
+      <PaymentSteps />
+    </div>
+
+    {DEBUG_MODE && (
+      <div className="w-full max-w-4xl flex justify-center">
+        <DebugPanel />
+      </div>
+    )}
+  </div>
+);
+
+export default DesktopPaymentLayout;
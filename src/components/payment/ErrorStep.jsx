@@ -0,0 +1,55 @@
+import usePaymentStore from '../../stores/paymentStore';
+
+/**
+ * Failed payment or invalid payment link, with the coded validation errors when there are any
+ */
+const ErrorStep = () => {
+  const error = usePaymentStore((state) => state.error);
+  const errorDetails = usePaymentStore((state) => state.errorDetails);
+  const retryFromError = usePaymentStore((state) => state.retryFromError);
+
+  return (
+    <div className="text-center p-8">
+      <div className="w-16 h-16 mx-auto bg-red-500 rounded-full flex items-center justify-center mb-4">
+        <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+        </svg>
+      </div>
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Payment Failed</h2>
+      <p className="text-gray-600 mb-6">The transaction could not be completed</p>
+
+      <div className="bg-red-50 border border-red-200 rounded-xl p-4 mb-6">
+        <p className="text-sm text-red-700">{error}</p>
+        {errorDetails.length > 1 && (
+          <ul className="mt-2 text-left text-xs text-red-700 space-y-1">
+            {errorDetails.map(detail => (
+              <li key={`${detail.code}-${detail.field}`}>
+                <span className="font-mono">{detail.code}</span>: {detail.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        {errorDetails.length === 1 && (
+          <p className="mt-1 text-xs text-red-500 font-mono">{errorDetails[0].code}</p>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <button
+          onClick={retryFromError}
+          className="w-full bg-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-purple-700"
+        >
+          Try Again
+        </button>
+        <button
+          onClick={() => window.close()}
+          className="w-full bg-gray-200 text-gray-700 py-3 px-6 rounded-xl font-semibold hover:bg-gray-300"
+        >
+          Cancel Payment
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ErrorStep;
@@ -0,0 +1,56 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { usePaymentActions } from '../../hooks/usePaymentActions';
+
+/**
+ * Expired payments can't be executed; the backend may reissue them under a new link
+ */
+const ExpiredStep = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const linkRenewal = usePaymentStore((state) => state.linkRenewal);
+  const { requestFreshLink } = usePaymentActions();
+
+  const renewable = paymentData?.paymentId && paymentData.source !== 'eip681';
+
+  return (
+    <div className="text-center p-8">
+      <div className="w-16 h-16 mx-auto bg-yellow-500 rounded-full flex items-center justify-center mb-4">
+        <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+      </div>
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Payment Request Expired</h2>
+      <p className="text-gray-600 mb-6">
+        This payment request is no longer valid and no funds were sent.
+        {renewable
+          ? ' You can request a fresh link to pay the same amount.'
+          : ' Please ask the merchant for a new payment request.'}
+      </p>
+
+      {linkRenewal.error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4 mb-6">
+          <p className="text-sm text-red-700">{linkRenewal.error}</p>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {renewable && (
+          <button
+            onClick={requestFreshLink}
+            disabled={linkRenewal.loading}
+            className="w-full bg-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-purple-700 disabled:opacity-50"
+          >
+            {linkRenewal.loading ? 'Requesting...' : 'Request a Fresh Link'}
+          </button>
+        )}
+        <button
+          onClick={() => window.close()}
+          className="w-full bg-gray-200 text-gray-700 py-3 px-6 rounded-xl font-semibold hover:bg-gray-300"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExpiredStep;
@@ -0,0 +1,22 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { usePaymentExpiry } from '../../hooks/usePaymentExpiry';
+import { formatCountdown, EXPIRY_WARNING_MS } from '../../utils/expiryUtils';
+
+/**
+ * Countdown shown while the payer connects and confirms
+ */
+const ExpiryCountdown = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const { remainingMs, isExpired } = usePaymentExpiry(paymentData?.expiresAt);
+
+  if (remainingMs === null || isExpired) return null;
+
+  const urgent = remainingMs <= EXPIRY_WARNING_MS;
+  return (
+    <div className={`${urgent ? 'bg-red-50 border-red-200 text-red-700' : 'bg-blue-50 border-blue-200 text-blue-700'} border rounded-lg px-3 py-2 mb-4 text-sm text-center`}>
+      Payment request expires in <span className="font-mono font-semibold">{formatCountdown(remainingMs)}</span>
+    </div>
+  );
+};
+
+export default ExpiryCountdown;
@@ -0,0 +1,40 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { getInstallmentError } from '../../utils/paymentDataUtils';
+
+/**
+ * Amount input for paying part of the remaining balance
+ */
+const InstallmentInput = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const installmentAmount = usePaymentStore((state) => state.installmentAmount);
+  const setInstallmentAmount = usePaymentStore((state) => state.setInstallmentAmount);
+  const processing = usePaymentStore((state) => state.processing);
+
+  const { installments } = paymentData;
+  const installmentError = installmentAmount.trim() ? getInstallmentError(paymentData, installmentAmount) : null;
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-xl p-4 mb-6">
+      <label htmlFor="installment-amount" className="block text-sm text-gray-700 mb-2">
+        Amount to pay now ({paymentData.token})
+      </label>
+      <input
+        id="installment-amount"
+        type="text"
+        inputMode="decimal"
+        value={installmentAmount}
+        onChange={(event) => setInstallmentAmount(event.target.value)}
+        placeholder={installments.remainingAmount}
+        disabled={processing}
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono"
+      />
+      <p className="text-xs text-gray-500 mt-2">
+        Leave empty to pay the full remaining balance.
+        {installments.minimumAmount && ` Minimum payment is ${installments.minimumAmount} ${paymentData.token}.`}
+      </p>
+      {installmentError && <p className="text-xs text-red-600 mt-2">{installmentError}</p>}
+    </div>
+  );
+};
+
+export default InstallmentInput;
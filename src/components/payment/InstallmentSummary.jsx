@@ -0,0 +1,46 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { formatTransactionHash, getExplorerUrl } from '../../utils/formatUtils';
+
+/**
+ * Paid / remaining balance and every transaction settled so far
+ */
+const InstallmentSummary = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const { installments } = paymentData;
+
+  return (
+    <div className="bg-gray-50 rounded-xl p-4 mb-6 text-left">
+      <div className="flex justify-between items-center mb-2 text-sm">
+        <span className="text-gray-600">Paid so far:</span>
+        <span className="font-semibold">{installments.paidAmount} of {installments.totalAmount} {paymentData.token}</span>
+      </div>
+      <div className="flex justify-between items-center text-sm">
+        <span className="text-gray-600">Remaining:</span>
+        <span className="font-semibold">{installments.remainingAmount} {paymentData.token}</span>
+      </div>
+
+      {installments.transactions.length > 0 && (
+        <div className="border-t border-gray-200 mt-3 pt-3">
+          <p className="text-xs text-gray-500 mb-1">Transactions:</p>
+          {installments.transactions.map(transaction => {
+            const explorerUrl = transaction.hash ? getExplorerUrl(transaction.hash, paymentData.network) : null;
+            return (
+              <div key={transaction.hash} className="flex justify-between items-center text-xs mb-1">
+                {explorerUrl ? (
+                  <a href={explorerUrl} target="_blank" rel="noopener noreferrer" className="font-mono text-purple-600 hover:text-purple-700">
+                    {formatTransactionHash(transaction.hash)}
+                  </a>
+                ) : (
+                  <span className="font-mono">{formatTransactionHash(transaction.hash)}</span>
+                )}
+                <span className="font-semibold">{transaction.amount} {paymentData.token}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstallmentSummary;
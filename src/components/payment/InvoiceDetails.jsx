@@ -0,0 +1,65 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { getInvoiceSummary } from '../../utils/paymentDataUtils';
+
+const row = (key, label, value, className = 'text-gray-600') => (
+  <div key={key} className={`flex justify-between items-center text-sm mb-1 ${className}`}>
+    <span>{label}</span>
+    <span className="font-mono">{value}</span>
+  </div>
+);
+
+/**
+ * Itemized invoice lines, checked against the amount charged on chain
+ */
+const InvoiceDetails = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const summary = getInvoiceSummary(paymentData);
+  if (!summary) return null;
+
+  if (summary.error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
+        <p className="text-sm text-red-700">The invoice for this payment could not be read: {summary.error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-xl p-4 mb-4">
+      <div className="flex justify-between items-center mb-3">
+        <span className="font-semibold text-gray-800">Invoice</span>
+        {summary.orderReference && <span className="text-xs text-gray-500">Order {summary.orderReference}</span>}
+      </div>
+
+      {summary.lineItems.map((item, index) => (
+        <div key={`line-${index}`} className="flex justify-between items-start text-sm mb-1">
+          <span className="text-gray-800">
+            {item.description}
+            <span className="text-gray-500"> × {item.quantity} @ {item.unitPrice}</span>
+          </span>
+          <span className="font-mono">{item.total}</span>
+        </div>
+      ))}
+
+      <div className="border-t border-gray-200 mt-2 pt-2">
+        {row('subtotal', 'Subtotal', summary.subtotal)}
+        {summary.discounts.map((discount, index) => row(`discount-${index}`, discount.label, `-${discount.total}`, 'text-green-700'))}
+        {summary.taxes.map((tax, index) => row(`tax-${index}`, tax.rate ? `${tax.label} (${tax.rate}%)` : tax.label, tax.total))}
+        {summary.fees.map((fee, index) => row(`fee-${index}`, fee.label, fee.total))}
+      </div>
+
+      <div className="flex justify-between items-center border-t border-gray-200 mt-2 pt-2">
+        <span className="font-semibold">Total</span>
+        <span className="font-semibold font-mono">{summary.total} {paymentData.token}</span>
+      </div>
+
+      {!summary.matches && (
+        <p className="text-xs text-red-600 mt-2">
+          The invoice total differs from the amount charged ({paymentData.amount} {paymentData.token}) by {summary.difference}. Payment is blocked.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default InvoiceDetails;
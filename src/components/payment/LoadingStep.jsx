@@ -0,0 +1,12 @@
+/**
+ * Shown while the payment link is validated and the payment details are loaded
+ */
+const LoadingStep = () => (
+  <div className="text-center p-8">
+    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600 mx-auto mb-4"></div>
+    <h2 className="text-xl font-bold text-gray-800 mb-2">Loading Payment...</h2>
+    <p className="text-gray-600">Validating payment parameters and preparing transaction</p>
+  </div>
+);
+
+export default LoadingStep;
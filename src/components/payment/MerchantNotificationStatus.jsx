@@ -0,0 +1,45 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { getNotificationKey, NOTIFICATION_STATUS } from '../../utils/notificationOutboxUtils';
+
+/**
+ * Whether our backend has recorded the payment (it notifies the merchant), is still being retried or gave up
+ * (nothing when no notification was queued)
+ */
+const MerchantNotificationStatus = () => {
+  const paymentId = usePaymentStore((state) => state.paymentData?.paymentId);
+  const transactionHash = usePaymentStore((state) => state.transactionHash);
+  const notification = usePaymentStore((state) => (
+    paymentId && transactionHash ? state.notificationOutbox[getNotificationKey(paymentId, transactionHash)] : null
+  ));
+
+  if (!notification) return null;
+
+  if (notification.status === NOTIFICATION_STATUS.ACKNOWLEDGED) {
+    return <p className="text-xs text-green-600 mb-4">✓ Payment recorded for the merchant</p>;
+  }
+
+  if (notification.status === NOTIFICATION_STATUS.FAILED) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg px-3 py-2 mb-4 text-sm text-red-700">
+        <p className="font-medium">Payment could not be recorded for the merchant</p>
+        <p className="text-xs mt-1">
+          Your payment went through, but our payment server could not record it for the merchant
+          {notification.lastError && ` (${notification.lastError})`}. Please send the merchant the transaction hash above.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg px-3 py-2 mb-4 text-sm text-yellow-800">
+      <p className="font-medium">Payment not yet recorded for the merchant</p>
+      <p className="text-xs mt-1">
+        Your payment went through, but our payment server hasn&apos;t recorded it yet. We&apos;re retrying automatically
+        {notification.attempts > 0 && ` (${notification.attempts} failed so far)`}; if you close this page, retries resume
+        the next time it opens.
+      </p>
+    </div>
+  );
+};
+
+export default MerchantNotificationStatus;
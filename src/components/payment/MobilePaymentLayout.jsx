@@ -0,0 +1,41 @@
+import { DEBUG_MODE } from '../../utils/debugUtils';
+import PaymentSteps from './PaymentSteps';
+import DebugPanel from './DebugPanel';
+
+/**
+ * Mobile presentation: full-width payment card, with the debug panel beside it in debug mode
+ */
+const MobilePaymentLayout = () => (
+  <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 p-4">
+    <div className="max-w-6xl mx-auto">
+      <div className="flex flex-col lg:flex-row gap-4">
+        {/* Main Payment Card */}
+        <div className="lg:w-1/2">
+          <div className="bg-white rounded-2xl shadow-xl overflow-hidden">
+            {/* Enhanced header */}
+            <div className="bg-gradient-to-r from-purple-600 to-blue-600 text-white p-6 text-center">
+              <h1 className="text-2xl font-bold">Coinley Pay</h1>
+              <p className="text-purple-100 text-sm mt-1">Enhanced Mobile Payment</p>
+            </div>
+
+            {/* Content */}
+            <div className="min-h-[400px] flex flex-col justify-center">
+              <PaymentSteps />
+            </div>
+
+            {/* Enhanced footer */}
+            <div className="text-center text-xs text-gray-500 p-4 border-t">
+              <p>Powered by <span className="text-purple-600 font-semibold">Coinley</span> - Secure Split Payments</p>
+              <p className="mt-1">Mobile-Optimized Experience</p>
+            </div>
+          </div>
+        </div>
+
+        {/* Debug Panel - Only show in development mode */}
+        {DEBUG_MODE && <DebugPanel />}
+      </div>
+    </div>
+  </div>
+);
+
+export default MobilePaymentLayout;
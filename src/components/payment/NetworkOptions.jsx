@@ -0,0 +1,51 @@
+import { useAccount } from 'wagmi';
+import usePaymentStore from '../../stores/paymentStore';
+import { useBalanceScan } from '../../hooks/usePaymentApi';
+import { usePaymentActions } from '../../hooks/usePaymentActions';
+
+/**
+ * Networks where the payer holds enough of the requested token (needs a backend payment ID for the variant)
+ */
+const NetworkOptions = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const switchingNetwork = usePaymentStore((state) => state.switchingNetwork);
+  const networkSwitchError = usePaymentStore((state) => state.networkSwitchError);
+  const processing = usePaymentStore((state) => state.processing);
+  const { address } = useAccount();
+  const networkScan = useBalanceScan(paymentData, address);
+  const { selectPaymentNetwork } = usePaymentActions();
+
+  if (!networkScan || networkScan.loading || !paymentData.paymentId) return null;
+
+  const currentChainId = parseInt(paymentData.chainId);
+  const current = networkScan.options.find(option => option.chainId === currentChainId);
+  const alternatives = networkScan.options.filter(option => option.canPay && option.chainId !== currentChainId);
+  if (alternatives.length === 0) return null;
+
+  return (
+    <div className={`${current?.canPay ? 'bg-gray-50 border-gray-200' : 'bg-yellow-50 border-yellow-200'} border rounded-lg p-3 mb-4`}>
+      <p className="text-sm text-gray-700 mb-2">
+        {current?.canPay
+          ? 'You can also pay on:'
+          : `Not enough ${paymentData.token} on ${paymentData.network}. You can pay on:`}
+      </p>
+      <div className="space-y-2">
+        {alternatives.map(option => (
+          <button
+            key={option.chainId}
+            onClick={() => selectPaymentNetwork(option)}
+            disabled={switchingNetwork || processing}
+            className="w-full flex justify-between items-center bg-white border border-gray-200 rounded-lg px-3 py-2 text-sm hover:bg-gray-100 disabled:opacity-50"
+          >
+            <span className="font-semibold">{option.network}</span>
+            <span className="text-gray-600">{Number(option.formattedBalance).toFixed(2)} {paymentData.token}</span>
+          </button>
+        ))}
+      </div>
+      {switchingNetwork && <p className="text-xs text-gray-500 mt-2">Switching network...</p>}
+      {networkSwitchError && <p className="text-xs text-red-600 mt-2">{networkSwitchError}</p>}
+    </div>
+  );
+};
+
+export default NetworkOptions;
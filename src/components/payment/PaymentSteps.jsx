@@ -0,0 +1,37 @@
+import usePaymentStore from '../../stores/paymentStore';
+import WaitingForProviderStep from './WaitingForProviderStep';
+import ProviderTimeoutStep from './ProviderTimeoutStep';
+import LoadingStep from './LoadingStep';
+import ConnectionStep from './ConnectionStep';
+import ConfirmationStep from './ConfirmationStep';
+import ProcessingStep from './ProcessingStep';
+import AwaitingVerificationStep from './AwaitingVerificationStep';
+import AmountMismatchStep from './AmountMismatchStep';
+import SuccessStep from './SuccessStep';
+import ExpiredStep from './ExpiredStep';
+import ErrorStep from './ErrorStep';
+
+/**
+ * The current step of the payment, shared by the mobile and desktop layouts
+ */
+const PaymentSteps = () => {
+  const currentStep = usePaymentStore((state) => state.currentStep);
+
+  return (
+    <>
+      {currentStep === 'waitingForProvider' && <WaitingForProviderStep />}
+      {currentStep === 'providerTimeout' && <ProviderTimeoutStep />}
+      {currentStep === 'loading' && <LoadingStep />}
+      {currentStep === 'connection' && <ConnectionStep />}
+      {currentStep === 'confirmation' && <ConfirmationStep />}
+      {currentStep === 'processing' && <ProcessingStep />}
+      {currentStep === 'awaitingVerification' && <AwaitingVerificationStep />}
+      {currentStep === 'amountMismatch' && <AmountMismatchStep />}
+      {currentStep === 'success' && <SuccessStep />}
+      {currentStep === 'expired' && <ExpiredStep />}
+      {currentStep === 'error' && <ErrorStep />}
+    </>
+  );
+};
+
+export default PaymentSteps;
@@ -0,0 +1,39 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { isNativeTokenPayment } from '../../utils/tokenUtils';
+
+/**
+ * Progress of the approval, signature and split payment transactions
+ */
+const ProcessingStep = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const transactionStep = usePaymentStore((state) => state.transactionStep);
+  const transactionHash = usePaymentStore((state) => state.transactionHash);
+  const confirmations = usePaymentStore((state) => state.confirmations);
+
+  return (
+    <div className="text-center p-8">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Processing Payment</h2>
+      <p className="text-gray-600 mb-4">
+        {transactionStep === 'approve' ? 'Approving token spending...' :
+         transactionStep === 'permit' ? 'Sign the token permit in your wallet...' :
+         transactionStep === 'batch' ? 'Confirm the approval and payment bundle in your wallet...' :
+         transactionStep === 'batchPending' ? 'Waiting for the payment bundle to be included...' :
+         transactionStep === 'splitPayment' ? (isNativeTokenPayment(paymentData)
+           ? `Sending ${paymentData.token} to split payment...`
+           : 'Executing split payment...') :
+         transactionStep === 'confirming' ? `Confirming on-chain (${confirmations.current}/${confirmations.required})...` :
+         'Confirming transaction on blockchain...'}
+      </p>
+      {transactionHash && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+          <p className="text-xs text-blue-600 font-mono">
+            TX: {transactionHash.slice(0, 10)}...{transactionHash.slice(-10)}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProcessingStep;
@@ -0,0 +1,45 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { PRESENTATIONS } from '../../utils/flowOptionsUtils';
+
+/**
+ * No wallet provider appeared; on mobile the page has to be opened in a wallet browser,
+ * on desktop a wallet extension has to be installed
+ */
+const ProviderTimeoutStep = () => {
+  const error = usePaymentStore((state) => state.error);
+  const presentation = usePaymentStore((state) => state.flowOptions.presentation);
+
+  return (
+    <div className="text-center p-8">
+      <div className="w-16 h-16 mx-auto bg-yellow-500 rounded-full flex items-center justify-center mb-4">
+        <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+        </svg>
+      </div>
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Unable to Connect</h2>
+      <p className="text-gray-600 mb-6">{error}</p>
+      <button
+        onClick={() => window.location.reload()}
+        className="w-full bg-blue-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-blue-700 transition-colors"
+      >
+        Refresh Page
+      </button>
+      {presentation === PRESENTATIONS.DESKTOP ? (
+        <a
+          href="https://metamask.io/download/"
+          target="_blank"
+          rel="noopener noreferrer"
+          className="block text-sm text-purple-700 font-semibold mt-4 hover:underline"
+        >
+          Install MetaMask
+        </a>
+      ) : (
+        <p className="text-xs text-gray-500 mt-4">
+          Make sure you opened this link in a wallet browser (MetaMask, Trust Wallet, or Coinbase Wallet)
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProviderTimeoutStep;
@@ -0,0 +1,112 @@
+import usePaymentStore from '../../stores/paymentStore';
+import { formatTransactionHash, getExplorerUrl, getExplorerName } from '../../utils/formatUtils';
+import { isFullyPaid } from '../../utils/installmentUtils';
+import InstallmentSummary from './InstallmentSummary';
+import MerchantNotificationStatus from './MerchantNotificationStatus';
+
+/**
+ * Payment completed (or, for installment invoices, one installment received)
+ */
+const SuccessStep = () => {
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const transactionHash = usePaymentStore((state) => state.transactionHash);
+  const startNextInstallment = usePaymentStore((state) => state.startNextInstallment);
+
+  const explorerUrl = transactionHash ? getExplorerUrl(transactionHash, paymentData.network) : null;
+  const explorerName = getExplorerName(paymentData.network);
+
+  if (paymentData.installments) {
+    const fullyPaid = isFullyPaid(paymentData.installments);
+    return (
+      <div className="text-center p-8">
+        <div className="w-16 h-16 mx-auto bg-green-500 rounded-full flex items-center justify-center mb-4">
+          <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
+          </svg>
+        </div>
+        <h2 className="text-xl font-bold text-gray-800 mb-2">{fullyPaid ? 'Invoice Fully Paid!' : 'Installment Received'}</h2>
+        <p className="text-gray-600 mb-6">
+          {fullyPaid
+            ? `All ${paymentData.installments.totalAmount} ${paymentData.token} has been paid to ${paymentData.merchant}`
+            : `${paymentData.installments.remainingAmount} ${paymentData.token} is still open on this invoice`}
+        </p>
+
+        <InstallmentSummary />
+        <MerchantNotificationStatus />
+
+        <div className="space-y-3">
+          {!fullyPaid && (
+            <button
+              onClick={startNextInstallment}
+              className="w-full bg-green-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-green-700"
+            >
+              Pay Remaining Balance
+            </button>
+          )}
+          <button
+            onClick={() => window.close()}
+            className="w-full bg-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-purple-700"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-center p-8">
+      <div className="w-16 h-16 mx-auto bg-green-500 rounded-full flex items-center justify-center mb-4">
+        <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
+        </svg>
+      </div>
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Payment Successful!</h2>
+      <p className="text-gray-600 mb-6">Your split payment has been completed successfully</p>
+
+      <div className="bg-green-50 border border-green-200 rounded-xl p-4 mb-6">
+        <p className="text-sm text-green-700 mb-3">
+          {paymentData.amount} {paymentData.token} sent to {paymentData.merchant}
+        </p>
+        {transactionHash && (
+          <>
+            <p className="text-xs text-green-600 font-mono mb-3">
+              TX: {formatTransactionHash(transactionHash)}
+            </p>
+            {explorerUrl && (
+              <a
+                href={explorerUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-2 text-sm font-medium text-purple-600 hover:text-purple-700 transition-colors"
+              >
+                View on {explorerName}
+                <svg
+                  xmlns="http://www.w3.org/2000/svg"
+                  className="h-4 w-4"
+                  fill="none"
+                  viewBox="0 0 24 24"
+                  stroke="currentColor"
+                  strokeWidth={2}
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
+                </svg>
+              </a>
+            )}
+          </>
+        )}
+      </div>
+
+      <MerchantNotificationStatus />
+
+      <button
+        onClick={() => window.close()}
+        className="w-full bg-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:bg-purple-700"
+      >
+        Close
+      </button>
+    </div>
+  );
+};
+
+export default SuccessStep;
@@ -0,0 +1,13 @@
+/**
+ * Shown while the wallet browser injects its provider
+ */
+const WaitingForProviderStep = () => (
+  <div className="text-center p-8">
+    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+    <h2 className="text-xl font-bold text-gray-800 mb-2">Connecting to Wallet...</h2>
+    <p className="text-gray-600 mb-2">Waiting for wallet browser to initialize</p>
+    <p className="text-xs text-gray-500">This usually takes 1-3 seconds</p>
+  </div>
+);
+
+export default WaitingForProviderStep;
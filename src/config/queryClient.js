@@ -1,4 +1,5 @@
 import { QueryClient } from '@tanstack/react-query';
+import { apiClient } from '../utils/apiClient';
 
 /**
  * Optimized TanStack Query configuration for Coinley Payment Screen
@@ -56,14 +57,19 @@ export const queryKeys = {
   payment: (paymentId) => ['payment', paymentId],
   paymentDetails: (paymentId) => ['payment', 'details', paymentId],
   paymentStatus: (paymentId) => ['payment', 'status', paymentId],
+  paymentFees: (paymentId, chainId, account, amount) => ['payment', 'fees', paymentId, chainId, account, amount],
 
   // Transaction queries
   transaction: (txHash) => ['transaction', txHash],
   transactionReceipt: (txHash) => ['transaction', 'receipt', txHash],
 
+  // Splitter contract info (address + ABI) per chain
+  contractInfo: (chainId) => ['contract', chainId],
+
   // Token queries
   tokenBalance: (address, tokenAddress) => ['token', 'balance', address, tokenAddress],
   tokenAllowance: (owner, spender, tokenAddress) => ['token', 'allowance', owner, spender, tokenAddress],
+  tokenBalancesByChain: (address, symbol, amount) => ['token', 'balances', address, symbol, amount],
 };
 
 /**
@@ -86,7 +92,7 @@ export const invalidatePayment = (paymentId) => {
 export const prefetchPaymentDetails = async (paymentId) => {
   await queryClient.prefetchQuery({
     queryKey: queryKeys.paymentDetails(paymentId),
-    queryFn: () => fetch(`/api/payments/public/${paymentId}`).then(res => res.json()),
+    queryFn: () => apiClient.getPaymentDetails(paymentId),
     staleTime: Infinity // Payment details never change
   });
 };
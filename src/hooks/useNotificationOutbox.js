@@ -0,0 +1,109 @@
+import { useEffect } from 'react';
+import usePaymentStore, { logDebug } from '../stores/paymentStore';
+import { createApiClient } from '../utils/apiClient';
+import {
+  NOTIFICATION_STATUS,
+  MAX_NOTIFICATION_ATTEMPTS,
+  getNextDueNotification,
+  isRetryableNotificationError
+} from '../utils/notificationOutboxUtils';
+import { isEip681PaymentId } from '../utils/eip681Utils';
+
+/**
+ * Notification Outbox
+ *
+ * Tells the backend about sent payments through the store's persisted outbox
+ * (see notificationOutboxUtils), so a failed or interrupted notification is
+ * retried with backoff until the backend acknowledges it, on this page load
+ * or a later one. Notifications the backend refuses, or that run out of
+ * attempts, are marked failed and no longer retried.
+ */
+
+// Backend API client; request details go to the debug panel
+const api = createApiClient({ onLog: logDebug });
+
+// Keys being sent right now, so the retry timer and a direct send never overlap
+const sending = new Set();
+
+/**
+ * Send one queued notification, rescheduling it with backoff on failure or giving up on it
+ *
+ * @param {string} key - Outbox key
+ * @returns {Promise<boolean>} Whether the backend has acknowledged the notification
+ */
+export const deliverNotification = async (key) => {
+  const entry = usePaymentStore.getState().notificationOutbox[key];
+  if (!entry || entry.status !== NOTIFICATION_STATUS.PENDING) return entry?.status === NOTIFICATION_STATUS.ACKNOWLEDGED;
+  if (sending.has(key)) return false;
+
+  sending.add(key);
+  try {
+    await api.notifyBackend(entry.paymentId, entry.transactionHash, entry.networkName, entry.senderAddress, {
+      isNative: entry.isNative
+    });
+    usePaymentStore.getState().acknowledgeNotification(key);
+    logDebug('success', '📬 Merchant notified of payment', { paymentId: entry.paymentId, attempts: entry.attempts + 1 });
+    return true;
+  } catch (error) {
+    const attempts = entry.attempts + 1;
+    if (!isRetryableNotificationError(error) || attempts >= MAX_NOTIFICATION_ATTEMPTS) {
+      usePaymentStore.getState().failNotification(key, error.message);
+      logDebug('error', '📭 Merchant notification failed, giving up', { paymentId: entry.paymentId, attempts, error: error.message });
+      return false;
+    }
+
+    usePaymentStore.getState().rescheduleNotification(key, error.message);
+    logDebug('warning', '📭 Merchant notification failed, will retry', { paymentId: entry.paymentId, attempts, error: error.message });
+    return false;
+  } finally {
+    sending.delete(key);
+  }
+};
+
+/**
+ * Queue a payment notification and send it right away
+ *
+ * @param {object} notification - { paymentId, transactionHash, networkName, senderAddress, isNative }
+ * @returns {Promise<boolean>} Whether the backend has acknowledged it; never throws
+ */
+export const notifyMerchant = async (notification) => {
+  if (!notification.paymentId) {
+    console.warn('⚠️ No payment ID provided for backend notification');
+    return false;
+  }
+  // The backend has no record of payment requests paid without one; retrying would never succeed
+  if (isEip681PaymentId(notification.paymentId)) {
+    logDebug('info', '📭 Payment request has no backend record - merchant not notified', { paymentId: notification.paymentId });
+    return false;
+  }
+  const key = usePaymentStore.getState().queueNotification(notification);
+  return deliverNotification(key);
+};
+
+/**
+ * Outbox Delivery Hook
+ *
+ * Sends the next pending notification when its retry is due, including ones
+ * left over from earlier page loads, and retries at once when the browser
+ * comes back online.
+ */
+export const useNotificationOutbox = () => {
+  const notificationOutbox = usePaymentStore((state) => state.notificationOutbox);
+
+  // Every outbox change (queued, acknowledged, rescheduled) re-arms the timer for the next due entry
+  useEffect(() => {
+    const next = getNextDueNotification(notificationOutbox);
+    if (!next) return undefined;
+
+    const timeout = setTimeout(() => deliverNotification(next.key), Math.max(next.nextAttemptAt - Date.now(), 0));
+    return () => clearTimeout(timeout);
+  }, [notificationOutbox]);
+
+  useEffect(() => {
+    const { retryNotificationsNow } = usePaymentStore.getState();
+    window.addEventListener('online', retryNotificationsNow);
+    return () => window.removeEventListener('online', retryNotificationsNow);
+  }, []);
+};
+
+export default useNotificationOutbox;
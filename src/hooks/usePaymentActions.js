@@ -0,0 +1,22 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Payment Actions Context
+ *
+ * The payment step components read their state from the payment store. The
+ * actions that need the connected wallet (connect, execute, verify, switch
+ * network, resolve an amount mismatch, renew the link, restart a resumed
+ * payment that was never sent) are provided by the flow component through
+ * this context.
+ */
+export const PaymentActionsContext = createContext(null);
+
+/**
+ * Hook: Payment flow actions
+ *
+ * @returns {object} { connectWallet, executePayment, verifyPayment, selectPaymentNetwork,
+ *   resolveOverpayment, acceptUnderpayment, requestFreshLink, restartPayment }
+ */
+export const usePaymentActions = () => useContext(PaymentActionsContext);
+
+export default usePaymentActions;
@@ -1,42 +1,13 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { formatUnits } from 'viem';
+import { config } from '../wagmiConfig';
 import { queryKeys } from '../config/queryClient';
 import usePaymentStore from '../stores/paymentStore';
-
-/**
- * API Configuration
- */
-const API_URL = process.env.REACT_APP_COINLEY_API_URL || 'https://talented-mercy-production.up.railway.app';
-
-/**
- * API Client with error handling
- */
-const apiClient = {
-  async get(endpoint) {
-    const response = await fetch(`${API_URL}${endpoint}`);
-    if (!response.ok) {
-      throw new Error(`API Error: ${response.status} ${response.statusText}`);
-    }
-    return response.json();
-  },
-
-  async post(endpoint, data, headers = {}) {
-    const response = await fetch(`${API_URL}${endpoint}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...headers
-      },
-      body: JSON.stringify(data)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API Error: ${response.status} - ${errorText}`);
-    }
-
-    return response.json();
-  }
-};
+import { apiClient, createApiClient } from '../utils/apiClient';
+import { isNativeTokenPayment } from '../utils/tokenUtils';
+import { getNativeUsdPrice } from '../utils/gasUtils';
+import { scanPaymentBalances } from '../utils/balanceScanUtils';
+import { getPaymentAmountInUnits, estimateNetworkFees } from '../utils/paymentDataUtils';
 
 /**
  * Hook: Fetch payment details by paymentId
@@ -52,7 +23,7 @@ export const usePaymentDetails = (paymentId) => {
     queryFn: async () => {
       addDebugLog('info', `🔄 Fetching payment details for: ${paymentId}`);
 
-      const data = await apiClient.get(`/api/payments/public/${paymentId}`);
+      const data = await apiClient.getPaymentDetails(paymentId);
 
       addDebugLog('success', '✅ Payment details fetched successfully', {
         paymentId: data.id,
@@ -88,19 +59,14 @@ export const usePaymentVerification = () => {
     mutationFn: async ({ paymentId, transactionHash, network, senderAddress, apiCredentials }) => {
       addDebugLog('info', `🔍 Verifying payment transaction: ${transactionHash}`);
 
-      const headers = {};
-      if (apiCredentials?.apiKey && apiCredentials?.apiSecret) {
-        headers['X-API-Key'] = apiCredentials.apiKey;
-        headers['X-API-Secret'] = apiCredentials.apiSecret;
-      }
+      // Credentials passed by the caller take precedence over the environment's
+      const client = apiCredentials?.apiKey && apiCredentials?.apiSecret
+        ? createApiClient(apiCredentials)
+        : apiClient;
 
-      const result = await apiClient.post('/api/payments/process', {
-        paymentId,
-        transactionHash,
-        network,
-        senderAddress,
+      const result = await client.notifyBackend(paymentId, transactionHash, network, senderAddress, {
         source: 'payment_screen'
-      }, headers);
+      });
 
       addDebugLog('success', '✅ Payment verified successfully', {
         paymentId,
@@ -138,7 +104,7 @@ export const usePaymentStatus = (paymentId, enabled = false) => {
   return useQuery({
     queryKey: queryKeys.paymentStatus(paymentId),
     queryFn: async () => {
-      const data = await apiClient.get(`/api/payments/status/${paymentId}`);
+      const data = await apiClient.checkPaymentStatus(paymentId);
 
       addDebugLog('info', `💳 Payment status: ${data.status}`, {
         paymentId,
@@ -219,9 +185,134 @@ export const usePrefetchPayment = (paymentId) => {
     prefetch: async () => {
       await queryClient.prefetchQuery({
         queryKey: queryKeys.paymentDetails(paymentId),
-        queryFn: () => apiClient.get(`/api/payments/public/${paymentId}`),
+        queryFn: () => apiClient.getPaymentDetails(paymentId),
         staleTime: Infinity
       });
     }
   };
 };
+
+/**
+ * Fetch the splitter contract info (address + ABI) for a chain
+ * Cached for the session; a splitter's address and ABI don't change while the page is open
+ *
+ * @param {object} queryClient - Query client
+ * @param {number} chainId - Chain ID
+ * @param {object} client - API client to fetch with (defaults to the environment's)
+ * @returns {Promise<object>} Contract info
+ */
+export const fetchContractInfo = (queryClient, chainId, client = apiClient) => queryClient.fetchQuery({
+  queryKey: queryKeys.contractInfo(chainId),
+  queryFn: () => client.getContractInfo(chainId),
+  staleTime: Infinity,
+  retry: false
+});
+
+/**
+ * Hook: Network fee preview for the confirmation screen
+ * Estimated again each time the screen is shown, so the payer sees the current gas cost before signing
+ *
+ * @param {object} paymentData - Payment data
+ * @param {string} account - Payer address
+ * @returns {object|null} null until there is a payer, { loading: true }, { loading: false, error },
+ *   or { loading: false, nativeFee, usdFee, symbol, needsApproval, hasEnoughNative }
+ */
+export const useNetworkFeePreview = (paymentData, account) => {
+  const queryClient = useQueryClient();
+  const addDebugLog = usePaymentStore((state) => state.addDebugLog);
+  const enabled = !!account && !!paymentData;
+
+  // Installment payments are estimated for the whole remaining balance
+  const amount = paymentData?.installments ? paymentData.installments.remainingAmount : paymentData?.amount;
+
+  const query = useQuery({
+    queryKey: queryKeys.paymentFees(paymentData?.paymentId, paymentData?.chainId, account, amount),
+    queryFn: async () => {
+      try {
+        const isNative = isNativeTokenPayment(paymentData);
+        const { amountInUnits } = getPaymentAmountInUnits(paymentData.installments
+          ? { ...paymentData, amount, amountInWei: '' }
+          : paymentData, isNative);
+        const contractInfo = await fetchContractInfo(queryClient, parseInt(paymentData.chainId));
+        const [estimate, usdPrice] = await Promise.all([
+          estimateNetworkFees({ paymentData, account, abi: contractInfo.abi, amountInUnits, isNative }),
+          getNativeUsdPrice(paymentData.chainId)
+        ]);
+
+        const nativeFee = Number(formatUnits(estimate.totalCost, estimate.decimals));
+        addDebugLog('info', '⛽ Network fee preview', {
+          totalCost: estimate.totalCost.toString(),
+          nativeFee,
+          usdPrice,
+          needsApproval: estimate.needsApproval,
+          hasEnoughNative: estimate.hasEnoughNative
+        });
+
+        return {
+          nativeFee,
+          usdFee: usdPrice !== null ? nativeFee * usdPrice : null,
+          symbol: estimate.symbol,
+          needsApproval: estimate.needsApproval,
+          hasEnoughNative: estimate.hasEnoughNative
+        };
+      } catch (error) {
+        addDebugLog('warning', '⚠️ Network fee preview unavailable', { error: error.message });
+        throw error;
+      }
+    },
+    enabled,
+    staleTime: 0,
+    refetchOnMount: true,
+    retry: false
+  });
+
+  if (!enabled) return null;
+  if (query.isError) return { loading: false, error: query.error.message };
+  if (query.isPending) return { loading: true };
+  return { loading: false, ...query.data };
+};
+
+/**
+ * Hook: Payer's balance of the requested token on every configured chain
+ *
+ * @param {object} paymentData - Payment data
+ * @param {string} account - Payer address
+ * @returns {object|null} { loading, options }, or null when there is nothing to scan or the scan failed
+ */
+export const useBalanceScan = (paymentData, account) => {
+  const addDebugLog = usePaymentStore((state) => state.addDebugLog);
+  const enabled = !!account && !!paymentData?.token && !!paymentData?.amount;
+
+  const query = useQuery({
+    queryKey: queryKeys.tokenBalancesByChain(account, paymentData?.token, paymentData?.amount),
+    queryFn: async () => {
+      try {
+        const options = await scanPaymentBalances(config, {
+          account,
+          symbol: paymentData.token,
+          amount: paymentData.amount
+        });
+
+        addDebugLog('info', '🔎 Multi-chain balance scan complete', options.map(option => ({
+          chainId: option.chainId,
+          balance: option.formattedBalance,
+          canPay: option.canPay,
+          error: option.error
+        })));
+
+        return options;
+      } catch (error) {
+        addDebugLog('warning', '⚠️ Multi-chain balance scan failed', { error: error.message });
+        throw error;
+      }
+    },
+    enabled,
+    staleTime: 0,
+    refetchOnMount: true,
+    retry: false
+  });
+
+  if (!enabled || query.isError) return null;
+  if (query.isPending) return { loading: true, options: [] };
+  return { loading: false, options: query.data };
+};
@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { parseExpiry, getTimeRemaining } from '../utils/expiryUtils';
+
+/**
+ * Payment Expiry Countdown Hook
+ *
+ * Ticks once per second while the payment has an expiry that has not passed yet.
+ *
+ * @param {string|number|null} rawExpiresAt - Expiry from paymentData (seconds, milliseconds or ISO date)
+ * @returns {object} { expiresAt, remainingMs, isExpired } (remainingMs is null without an expiry)
+ */
+export const usePaymentExpiry = (rawExpiresAt) => {
+  const expiresAt = parseExpiry(rawExpiresAt);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    setNow(Date.now());
+    if (expiresAt === null || expiresAt <= Date.now()) return undefined;
+
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= expiresAt) clearInterval(interval);
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [expiresAt]);
+
+  const remainingMs = getTimeRemaining(expiresAt, now);
+
+  return {
+    expiresAt,
+    remainingMs,
+    isExpired: remainingMs !== null && remainingMs <= 0
+  };
+};
+
+export default usePaymentExpiry;
@@ -0,0 +1,1566 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { useAccount, useConnect, useSwitchChain } from 'wagmi';
+import { useQueryClient } from '@tanstack/react-query';
+import { readContract, writeContract, simulateContract, getBalance, sendCalls, waitForTransactionReceipt } from '@wagmi/core';
+import { formatUnits, parseUnits, erc20Abi, zeroAddress } from 'viem';
+import { config } from '../wagmiConfig';
+import { queryKeys } from '../config/queryClient';
+import usePaymentStore, { logDebug } from '../stores/paymentStore';
+import { fetchContractInfo } from './usePaymentApi';
+import { useInjectedProvider, detectWalletCapabilities } from './useProviderDetection';
+import { usePaymentExpiry } from './usePaymentExpiry';
+import { useNotificationOutbox, notifyMerchant } from './useNotificationOutbox';
+import { getNativeCurrency, isNativeTokenPayment } from '../utils/tokenUtils';
+import { splitterSupportsPermit, detectPermitSupport, signPermit, buildPermitSplitCall } from '../utils/permitUtils';
+import { buildApproveAndSplitCalls, pollCallsStatus } from '../utils/batchUtils';
+import { waitForConfirmedReceipt } from '../utils/receiptUtils';
+import { verifyPaymentLink, getCanonicalLinkParams } from '../utils/linkSignatureUtils';
+import { reconcilePaymentDetails } from '../utils/reconcileUtils';
+import { validatePaymentParams, checkAddress, COMPLETE_PAYMENT_FIELDS } from '../utils/validationUtils';
+import { parseInstallments, recordInstallment } from '../utils/installmentUtils';
+import { MISMATCH_TYPES, MISMATCH_OUTCOMES, getPaidAmountInUnits, detectAmountMismatch } from '../utils/amountMismatchUtils';
+import { LEGACY_RECIPIENT_COUNT, hasAdditionalRecipients, supportsRecipientArrays } from '../utils/splitUtils';
+import { expandPayloadParams } from '../utils/paymentPayload';
+import { isPaymentExpired } from '../utils/expiryUtils';
+import {
+  SUPPORTED_CHAIN_IDS,
+  getValidatedUrlParams,
+  mapBackendPayment,
+  resolveEip681PaymentData,
+  getPaymentAmountInUnits,
+  buildSplitPaymentDetails,
+  estimateNetworkFees,
+  getInvoiceSummary,
+  getInstallmentCharge,
+  getInstallmentError
+} from '../utils/paymentDataUtils';
+import { splitterSupportsPermit2, getPermit2Address, getPermit2Allowance, signPermit2Transfer, buildPermit2SplitCall } from '../utils/permit2Utils';
+import { createApiClient, API_ERROR_TYPES } from '../utils/apiClient';
+import { subscribeToPaymentStatus } from '../utils/statusStreamUtils';
+
+// Backend API client; request details go to the debug panel
+const api = createApiClient({ onLog: logDebug });
+
+// Store actions never change, so effects and handlers use them without subscribing to the store
+const {
+  setCurrentStep,
+  setPaymentData,
+  setProcessing,
+  setError,
+  showError,
+  setTransactionHash,
+  setTransactionStep,
+  setConfirmations,
+  setSwitchingNetwork,
+  setNetworkSwitchError,
+  setInstallmentAmount,
+  setAmountMismatch,
+  setMismatchResolution,
+  setLinkRenewal,
+  setVerifying,
+  setStatusUpdateMode,
+  incrementConnectionAttempts,
+  saveInFlightPayment,
+  clearInFlightPayment,
+  getInFlightPayment
+} = usePaymentStore.getState();
+
+// Helper function to get network short name (aligned with constants)
+const getNetworkShortName = (chainId) => {
+  const networks = {
+    1: 'ethereum',
+    56: 'bsc',
+    137: 'polygon',
+    42161: 'arbitrum',
+    10: 'optimism',
+    43114: 'avalanche',
+    42220: 'celo'
+  };
+  return networks[parseInt(chainId)] || 'ethereum';
+};
+
+// Milliseconds to wait for an approval sent before the reload before connecting again
+const APPROVAL_RESUME_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Backend statuses that mean a wallet-app payment may have arrived
+const CONFIRMING_STATUSES = ['completed', 'partially_paid'];
+
+// Errors after which a sent transaction is known not to have paid
+const isFinalReceiptError = (err) => !!(err.reverted || err.cancelled || err.replaced || err.dropped);
+
+/**
+ * Confirm a payment sent from the wallet app: a further installment the backend recorded, or the
+ * on-chain transfer, which is checked against the invoiced amount before the payment counts as paid
+ *
+ * @param {object} paymentData - Current payment data
+ * @param {object} status - Normalized status response (see normalizePaymentStatus)
+ * @returns {Promise<string|null>} null when the flow moved on (success or amount mismatch), otherwise
+ *   why the payment was not confirmed yet
+ */
+const confirmWalletAppPayment = async (paymentData, { payment }) => {
+  // Installment payments: the backend recorded a transfer beyond what this screen knows about
+  if (payment?.status === 'partially_paid' && paymentData.installments) {
+    const { decimals } = getPaymentAmountInUnits(paymentData, isNativeTokenPayment(paymentData));
+    const installments = parseInstallments({ amount: paymentData.amount, ...payment, allowPartialPayments: true }, decimals);
+    if (parseUnits(installments.paidAmount, decimals) > parseUnits(paymentData.installments.paidAmount, decimals)) {
+      logDebug('success', '✅ Installment confirmed in database', { amountPaid: payment.amountPaid });
+      setPaymentData(prev => ({ ...prev, installments }));
+      setTransactionHash(payment.transactionHash || '');
+      setCurrentStep('success', { confirmed: true });
+      return null;
+    }
+  }
+
+  // Even payments the backend already completed are checked on-chain, so underpayments reach the mismatch step
+  logDebug('info', '🔗 Checking blockchain for payment...');
+  const verificationResponse = await api.verifyQRPayment(paymentData.paymentId);
+
+  // Wallet-app payments can carry a different amount than invoiced (installments are partial on purpose)
+  if (verificationResponse.onChainData && !paymentData.installments) {
+    const { amountInUnits, decimals } = getPaymentAmountInUnits(paymentData, isNativeTokenPayment(paymentData));
+    const mismatch = detectAmountMismatch({
+      expectedUnits: amountInUnits,
+      paidUnits: getPaidAmountInUnits(verificationResponse.onChainData, decimals),
+      decimals
+    });
+
+    if (mismatch) {
+      logDebug('warning', `⚖️ Payment ${mismatch.type}: paid ${mismatch.paid} of ${mismatch.expected} ${paymentData.token}`, mismatch);
+      setAmountMismatch({ ...mismatch, transactionHash: verificationResponse.onChainData.transactionHash || '' });
+      setTransactionHash(verificationResponse.onChainData.transactionHash || '');
+      setError(null);
+      setCurrentStep('amountMismatch');
+      return null;
+    }
+  }
+
+  if ((verificationResponse.success && verificationResponse.verified) || payment?.status === 'completed') {
+    const transactionHash = verificationResponse.onChainData?.transactionHash || payment?.transactionHash || '';
+    logDebug('success', '✅ Payment verified', { transactionHash, recordedStatus: payment?.status });
+    setTransactionHash(transactionHash);
+    setCurrentStep('success', { confirmed: true });
+    return null;
+  }
+
+  return verificationResponse.message || 'Payment not found on blockchain yet';
+};
+
+/**
+ * Resume a payment this browser already sent to the wallet (the page reloaded, or the mobile
+ * browser was killed while the payer was in the wallet app). A sent split payment is followed
+ * to its receipt; a split requested without a known hash is looked up by the backend; a pending
+ * approval is waited for, so connecting again doesn't ask for a second one.
+ *
+ * @param {object} paymentData - Resolved payment data
+ * @returns {Promise<boolean>} Whether the flow resumed at a step of its own (otherwise it goes on to connection)
+ */
+const resumeInFlightPayment = async (paymentData) => {
+  const inFlight = getInFlightPayment(paymentData.paymentId);
+  if (!inFlight) return false;
+
+  logDebug('info', '♻️ Resuming in-flight payment', inFlight);
+
+  if (inFlight.splitHash) {
+    setTransactionHash(inFlight.splitHash);
+    setProcessing(true);
+    setTransactionStep('confirming');
+    setCurrentStep('processing');
+
+    try {
+      const receipt = await waitForConfirmedReceipt(config, {
+        hash: inFlight.splitHash,
+        chainId: inFlight.chainId,
+        onConfirmation: (current, required) => setConfirmations({ current, required }),
+        onReplaced: ({ hash }) => {
+          setTransactionHash(hash);
+          saveInFlightPayment(paymentData.paymentId, { splitHash: hash });
+        }
+      });
+      logDebug('success', '✅ Resumed payment confirmed on-chain', { transactionHash: receipt.transactionHash });
+
+      // The page may have gone before the backend was told about the payment; the outbox skips it if it was
+      setTransactionStep('processing');
+      await notifyMerchant({
+        paymentId: paymentData.paymentId,
+        transactionHash: receipt.transactionHash,
+        networkName: getNetworkShortName(inFlight.chainId),
+        senderAddress: inFlight.account,
+        isNative: isNativeTokenPayment(paymentData)
+      });
+
+      setCurrentStep('success', { transactionHash: receipt.transactionHash });
+    } catch (err) {
+      logDebug('error', '❌ Resumed payment did not complete', { error: err.message, hash: inFlight.splitHash });
+      if (isFinalReceiptError(err)) clearInFlightPayment(paymentData.paymentId);
+      showError(err.reverted ? `Payment transaction failed on-chain: ${err.reason}` : err.message);
+    } finally {
+      setProcessing(false);
+      setTransactionStep('idle');
+    }
+    return true;
+  }
+
+  if (inFlight.step === 'splitPayment') {
+    // The wallet may have sent the payment after the page was gone; the step's status subscription asks the
+    // backend, and confirms (or flags an amount mismatch) as soon as the payment is found
+    setCurrentStep('awaitingVerification');
+    return true;
+  }
+
+  if (inFlight.approvalHash) {
+    try {
+      const receipt = await waitForTransactionReceipt(config, {
+        hash: inFlight.approvalHash,
+        chainId: inFlight.chainId,
+        timeout: APPROVAL_RESUME_TIMEOUT_MS
+      });
+      logDebug(receipt.status === 'success' ? 'success' : 'warning', `🔐 Approval from before the reload ${receipt.status === 'success' ? 'confirmed' : 'reverted'}`, {
+        transactionHash: inFlight.approvalHash
+      });
+    } catch (err) {
+      logDebug('warning', '⚠️ Could not follow the approval from before the reload', { error: err.message });
+    }
+  }
+
+  clearInFlightPayment(paymentData.paymentId);
+  return false;
+};
+
+
+/**
+ * Payment Flow Hook
+ *
+ * The execution core shared by the mobile and desktop presentations: waits for
+ * the wallet provider, loads and validates the payment, connects the wallet,
+ * executes the split payment (permit, Permit2, batched or approve + split),
+ * verifies wallet-app payments and resolves amount mismatches. With the
+ * autoApprove flow option the payment starts by itself once the wallet is
+ * connected on the payment's network.
+ *
+ * @returns {object} Actions for the step components (see usePaymentActions)
+ */
+export const usePaymentFlow = () => {
+  // Payment and step state lives in the payment store, shared with the step components
+  const currentStep = usePaymentStore((state) => state.currentStep);
+  const paymentData = usePaymentStore((state) => state.paymentData);
+  const walletEnv = usePaymentStore((state) => state.walletEnv);
+  const providerReady = usePaymentStore((state) => state.providerReady);
+  const connectionAttempts = usePaymentStore((state) => state.connectionAttempts);
+  const installmentAmount = usePaymentStore((state) => state.installmentAmount);
+  const amountMismatch = usePaymentStore((state) => state.amountMismatch);
+  const refundAddress = usePaymentStore((state) => state.refundAddress);
+  const flowOptions = usePaymentStore((state) => state.flowOptions);
+
+  // Wagmi hooks
+  const { address, isConnected, chain } = useAccount();
+  const { connect, connectors } = useConnect();
+  const { switchChain, switchChainAsync } = useSwitchChain();
+  const queryClient = useQueryClient();
+
+  // Expiry of the payment request (isExpired stays false when it never expires)
+  const { isExpired: paymentExpired } = usePaymentExpiry(paymentData?.expiresAt);
+
+  // ⭐ Wait for the wallet browser to inject its provider (moves the store to 'loading' or 'providerTimeout')
+  useInjectedProvider();
+
+  // Deliver merchant notifications still pending from this or an earlier page load
+  useNotificationOutbox();
+
+  // Initialize payment data on component mount (only after provider is ready)
+  useEffect(() => {
+    if (!providerReady || !walletEnv) return; // Wait for provider
+
+    const initializePayment = async () => {
+      try {
+        logDebug('info', '🔄 Initializing payment flow...');
+        logDebug('info', '🔍 Wallet environment detected', walletEnv);
+
+        // ✅ SAFE: Parse URL params with validation attached
+        const urlParams = getValidatedUrlParams();
+
+        // ✅ Check validation result
+        if (urlParams._validation && !urlParams._validation.isValid) {
+          logDebug('error', '❌ URL parameter validation failed', urlParams._validation);
+          showError(urlParams._validation.error || 'Invalid payment parameters', urlParams._validation.errors || []);
+          return; // Exit early
+        }
+
+        // 🔏 Full-parameter links must be signed; refuse tampered or unsigned ones before connecting
+        const linkSearchParams = expandPayloadParams(new URLSearchParams(window.location.search));
+        const linkCheck = await verifyPaymentLink({
+          searchParams: linkSearchParams,
+          verifyHmac: (payload, signature) => api.verifyLinkSignature(payload, signature)
+        });
+
+        if (!linkCheck.valid) {
+          logDebug('error', '❌ Payment link signature check failed', linkCheck);
+          showError(linkCheck.error);
+          return;
+        }
+        logDebug(linkCheck.required ? 'success' : 'info', linkCheck.required
+          ? `🔏 Payment link signature verified (${linkCheck.method})`
+          : '🔓 Minimal payment link - details come from backend', linkCheck);
+
+        // Wallet and POS payment requests carry no signature of ours: unsigned, they need a payment on record to
+        // be reconciled with (a link paymentId), or anyone could route the payment anywhere
+        if (urlParams.source === 'eip681' && !linkCheck.method) {
+          logDebug('error', '❌ Unsigned payment request without a payment on record', { paymentId: urlParams.paymentId });
+          showError('This payment request is not linked to a payment on record, so it cannot be verified. Please open it together with the payment ID from the merchant.');
+          return;
+        }
+
+        // ⭐ OPTIMIZED: Check if we have minimal params (QR code optimization)
+        const hasMinimalParams = urlParams.paymentId &&
+                                !urlParams.contractAddress &&
+                                !urlParams.tokenContract &&
+                                !urlParams.paymentRequest;
+
+        let resolvedData;
+        if (urlParams.source === 'eip681') {
+          // EIP-681 requests only name the recipient; the splitter comes from the backend's contract info
+          logDebug('info', '🔗 EIP-681 payment request - resolving splitter contract...');
+          resolvedData = await resolveEip681PaymentData(urlParams, chainId => fetchContractInfo(queryClient, chainId, api));
+        } else {
+          // 🧾 Always check the link against the backend record; on any difference the backend wins and we refuse
+          logDebug('info', hasMinimalParams
+            ? '🔄 Minimal params detected - fetching full payment details from backend...'
+            : '📋 Full params provided in URL - reconciling with backend payment details...');
+
+          let fetchedPayment = null;
+          try {
+            fetchedPayment = await queryClient.fetchQuery({
+              queryKey: queryKeys.paymentDetails(urlParams.paymentId),
+              queryFn: () => api.getPaymentDetails(urlParams.paymentId),
+              retry: false
+            });
+          } catch (fetchError) {
+            logDebug('error', '❌ Failed to fetch payment details from backend', {
+              error: fetchError.message,
+              paymentId: urlParams.paymentId
+            });
+          }
+
+          if (!fetchedPayment) {
+            if (!hasMinimalParams) {
+              // Routing values from the URL can't be trusted without the record to compare them with
+              showError('Could not confirm this payment with the server. Please try again in a moment.');
+              return;
+            }
+            // Fallback to URL params if fetch fails
+            resolvedData = urlParams;
+          } else {
+            const backendData = mapBackendPayment(fetchedPayment);
+            // A payment request for a payment on record must ask for the recorded amount, token and network; the
+            // payment then goes to the recorded recipients
+            const { paymentRequest } = urlParams;
+            const linkParams = getCanonicalLinkParams(linkSearchParams);
+            if (paymentRequest) {
+              Object.assign(linkParams, {
+                amountInWei: paymentRequest.amountInWei,
+                // Native requests name no token; the zero address still has to match a native payment
+                tokenContract: paymentRequest.tokenContract || zeroAddress
+              });
+            }
+            const reconciliation = reconcilePaymentDetails(linkParams, {
+              ...backendData,
+              amountInWei: fetchedPayment.amountInWei
+            });
+            const mismatches = paymentRequest && String(paymentRequest.chainId) !== String(backendData.chainId)
+              ? [...reconciliation.mismatches, { field: 'chainId', link: paymentRequest.chainId, backend: String(backendData.chainId) }]
+              : reconciliation.mismatches;
+
+            if (mismatches.length > 0) {
+              logDebug('error', '❌ Payment link does not match backend payment details', {
+                paymentId: urlParams.paymentId,
+                mismatches
+              });
+              showError(`This payment link does not match the payment on record (${mismatches.map(m => m.field).join(', ')}). Please request a new link from the merchant.`);
+              return;
+            }
+
+            // Merge fetched data with URL params
+            const enrichedParams = {
+              ...urlParams,
+              ...backendData
+            };
+
+            logDebug('success', '✅ Payment details reconciled with backend', enrichedParams);
+            resolvedData = enrichedParams;
+          }
+        }
+
+        // Everything needed to execute must be present and well-formed, whichever source supplied it
+        const completeValidation = validatePaymentParams(resolvedData, {
+          required: COMPLETE_PAYMENT_FIELDS,
+          supportedChainIds: SUPPORTED_CHAIN_IDS
+        });
+        if (!completeValidation.isValid) {
+          logDebug('error', '❌ Payment details validation failed', completeValidation);
+          showError(completeValidation.error, completeValidation.errors);
+          return;
+        }
+
+        setPaymentData(resolvedData);
+        logDebug('success', '✅ Payment data initialized');
+
+        // A payment already sent from this browser resumes instead of asking for a second one
+        if (await resumeInFlightPayment(resolvedData)) return;
+        setCurrentStep('connection');
+      } catch (err) {
+        logDebug('error', '❌ Failed to initialize payment', {
+          error: err.message,
+          stack: err.stack
+        });
+        showError(`Initialization failed: ${err.message}`);
+      }
+    };
+
+    initializePayment();
+  }, [providerReady, walletEnv, queryClient]); // Only run after provider is detected
+
+  // Simplified wallet connection for mobile (based on research findings)
+  const connectWallet = useCallback(async () => {
+    if (isConnected) {
+      console.log('✅ Wallet already connected');
+      logDebug('success', '✅ Wallet already connected');
+      return true;
+    }
+
+    if (!walletEnv) {
+      console.log('⚠️ Wallet environment not ready yet');
+      logDebug('warn', '⚠️ Wallet environment not ready yet');
+      return false;
+    }
+
+    try {
+      incrementConnectionAttempts();
+      console.log(`🔄 Connection attempt ${connectionAttempts + 1} for ${walletEnv.walletType}`);
+      logDebug('info', `🔄 Connection attempt ${connectionAttempts + 1} for ${walletEnv.walletType}`);
+
+      // ⭐ ENHANCED connector logic with Trust Wallet specific handling
+      let targetConnector = null;
+
+      const availableConnectors = connectors.map(c => ({ id: c.id, name: c.name }));
+      console.log('🔍 Available connectors:', availableConnectors);
+      console.log('🔍 Wallet type:', walletEnv.walletType);
+      console.log('🔍 Is in-app browser:', walletEnv.isInAppBrowser);
+      logDebug('info', '🔍 Available connectors', availableConnectors);
+      logDebug('info', '🔍 Wallet environment', {
+        walletType: walletEnv.walletType,
+        isInAppBrowser: walletEnv.isInAppBrowser,
+        hasTrustWallet: walletEnv.hasTrustWallet
+      });
+
+      if (walletEnv.isInAppBrowser) {
+        // ⭐ TRUST WALLET SPECIFIC: Use trustWallet connector for Trust Wallet
+        if (walletEnv.walletType === 'trust') {
+          targetConnector = connectors.find(c => c.id === 'trustWallet');
+          if (targetConnector) {
+            console.log('🛡️ Using Trust Wallet specific connector');
+            logDebug('success', '🛡️ Using Trust Wallet specific connector', {
+              connectorId: targetConnector.id,
+              connectorName: targetConnector.name
+            });
+          } else {
+            console.log('⚠️ Trust Wallet connector not found, falling back to injected');
+            logDebug('warn', '⚠️ Trust Wallet connector not found, falling back to injected');
+            targetConnector = connectors.find(c => c.id === 'injected');
+          }
+        }
+        // MetaMask - use metaMask connector
+        else if (walletEnv.walletType === 'metamask') {
+          targetConnector = connectors.find(c => c.id === 'metaMask') || connectors.find(c => c.id === 'injected');
+          console.log('🦊 Using MetaMask connector');
+          logDebug('info', '🦊 Using MetaMask connector', { connectorId: targetConnector?.id });
+        }
+        // Coinbase or others - use injected
+        else {
+          targetConnector = connectors.find(c => c.id === 'injected');
+          console.log('📱 Using injected connector for in-app browser');
+          logDebug('info', '📱 Using injected connector for in-app browser');
+        }
+      } else {
+        // Desktop: Use specific connectors or injected fallback
+        targetConnector = connectors.find(c => c.id === walletEnv.walletType) ||
+                         connectors.find(c => c.id === 'injected') ||
+                         connectors[0];
+        logDebug('info', '💻 Using desktop connector', { connectorId: targetConnector?.id });
+      }
+
+      if (!targetConnector) {
+        const errorMsg = 'No suitable wallet connector found';
+        logDebug('error', `❌ ${errorMsg}`, { availableConnectors });
+        throw new Error(errorMsg);
+      }
+
+      console.log(`✅ Selected connector: ${targetConnector.id} (${targetConnector.name})`);
+      logDebug('success', `✅ Selected connector: ${targetConnector.id}`, {
+        connectorId: targetConnector.id,
+        connectorName: targetConnector.name
+      });
+
+      await connect({ connector: targetConnector });
+      console.log('✅ Wallet connection initiated');
+      logDebug('success', '✅ Wallet connection initiated');
+      return true;
+
+    } catch (err) {
+      console.error('❌ Wallet connection failed:', err);
+      logDebug('error', '❌ Wallet connection failed', {
+        error: err.message,
+        attemptNumber: connectionAttempts + 1
+      });
+
+      if (connectionAttempts < 2) {
+        console.log('🔄 Retrying connection...');
+        logDebug('info', '🔄 Retrying connection in 3 seconds...');
+        // 🔧 CRITICAL FIX: Use 3s retry delay for mobile wallet browser initialization
+        setTimeout(() => connectWallet(), 3000); // ✅ 3 seconds per MetaMask/Trust/Coinbase docs
+      } else {
+        showError(`Connection failed: ${err.message}`);
+        logDebug('error', '❌ Connection failed after retries', { error: err.message });
+      }
+      return false;
+    }
+  }, [isConnected, connectors, connect, connectionAttempts, walletEnv]);
+
+  // Handle successful connection
+  // ⭐ FIX: Use ref to track if we've already processed this connection to prevent loops
+  const connectionProcessedRef = useRef(false);
+
+  useEffect(() => {
+    // Only the connection step moves on; a wallet reconnecting during a resumed payment must not restart it
+    if (currentStep === 'connection' && isConnected && address && paymentData && !connectionProcessedRef.current) {
+      // Mark as processed immediately to prevent re-entry
+      connectionProcessedRef.current = true;
+
+      console.log('✅ Wallet connected successfully:', address);
+      logDebug('success', '✅ Wallet connected successfully', {
+        address: address,
+        chainId: chain?.id,
+        chainName: chain?.name
+      });
+
+      // Check if we're on the correct chain
+      const targetChainId = parseInt(paymentData.chainId);
+      if (chain?.id !== targetChainId) {
+        console.log(`🔗 Switching to chain ${targetChainId}...`);
+        logDebug('info', `🔗 Switching to chain ${targetChainId}`, {
+          currentChain: chain?.id,
+          targetChain: targetChainId
+        });
+
+        // ✅ MOBILE FIX: Check if switchChain is available and returns a promise
+        if (switchChain) {
+          try {
+            const switchPromise = switchChain({ chainId: targetChainId });
+
+            // Check if result is a promise before calling .then()
+            if (switchPromise && typeof switchPromise.then === 'function') {
+              switchPromise.then(() => {
+                logDebug('success', '✅ Chain switch successful');
+                setCurrentStep('confirmation');
+              }).catch(err => {
+                console.error('❌ Chain switch failed:', err);
+                logDebug('error', '❌ Chain switch failed', { error: err.message });
+                setError(`Please switch to the correct network in your wallet`);
+              });
+            } else {
+              // switchChain didn't return a promise, proceed anyway
+              console.warn('⚠️ switchChain did not return a promise, proceeding to confirmation');
+              logDebug('warn', '⚠️ switchChain did not return a promise, proceeding anyway');
+              setCurrentStep('confirmation');
+            }
+          } catch (err) {
+            console.error('❌ Chain switch error:', err);
+            logDebug('error', '❌ Chain switch error', { error: err.message });
+            setError(`Please switch to the correct network in your wallet`);
+          }
+        } else {
+          // switchChain not available, ask user to switch manually
+          console.warn('⚠️ switchChain not available, user must switch network manually');
+          logDebug('warn', '⚠️ switchChain not available, user must switch manually');
+          setError(`Please switch to ${paymentData.network} network in your wallet`);
+        }
+      } else {
+        logDebug('success', '✅ Already on correct chain, proceeding to confirmation');
+        setCurrentStep('confirmation');
+      }
+    }
+
+    // Reset the ref when connection is lost
+    if (!isConnected) {
+      connectionProcessedRef.current = false;
+    }
+  }, [currentStep, isConnected, address, chain, paymentData, switchChain]);
+
+  // Lock the payment once it expires; the backend may already have cancelled the invoice
+  useEffect(() => {
+    if (paymentExpired && (currentStep === 'connection' || currentStep === 'confirmation')) {
+      console.log('⏰ Payment request expired - locking payment');
+      setCurrentStep('expired');
+    }
+  }, [paymentExpired, currentStep]);
+
+  // While the payer pays from their wallet app, follow the backend's status (pushed, or polled when the
+  // stream is unavailable) and move to success as soon as it confirms the payment
+  const paymentId = paymentData?.paymentId;
+  useEffect(() => {
+    if (currentStep !== 'awaitingVerification' || !paymentId) return undefined;
+
+    // Updates arriving while one is being confirmed are skipped; the next one (or the button) tries again
+    let confirming = false;
+    const unsubscribe = subscribeToPaymentStatus(api, paymentId, {
+      onStatus: async (status) => {
+        logDebug('debug', `💳 Payment status update: ${status.status}`, { paymentId, transactionHash: status.transactionHash });
+        if (confirming || !CONFIRMING_STATUSES.includes(status.status)) return;
+
+        confirming = true;
+        setVerifying(true);
+        try {
+          const message = await confirmWalletAppPayment(usePaymentStore.getState().paymentData, status);
+          if (message) logDebug('info', `⏳ ${message}`);
+        } catch (err) {
+          logDebug('error', '❌ Could not confirm payment from status update', { error: err.message });
+        } finally {
+          confirming = false;
+          setVerifying(false);
+        }
+      },
+      onModeChange: setStatusUpdateMode,
+      onLog: logDebug
+    });
+
+    return () => {
+      unsubscribe();
+      setStatusUpdateMode(null);
+    };
+  }, [currentStep, paymentId]);
+
+  // Auto-connect for in-app browsers (aligned with best practices)
+  // 🔧 CRITICAL FIX: Mobile wallet browsers need 3+ seconds to fully initialize
+  // ⭐ FIX: Use ref to ensure we only auto-connect once
+  const autoConnectAttemptedRef = useRef(false);
+
+  useEffect(() => {
+    if (currentStep === 'connection' &&
+        walletEnv?.isInAppBrowser &&
+        !isConnected &&
+        !autoConnectAttemptedRef.current) {
+
+      // Mark as attempted immediately
+      autoConnectAttemptedRef.current = true;
+
+      console.log('🚀 Auto-connecting for in-app browser (3 second delay for proper initialization)...');
+      logDebug('info', '🚀 Auto-connecting for in-app browser', {
+        walletType: walletEnv.walletType,
+        delay: '3 seconds'
+      });
+
+      const timeoutId = setTimeout(() => {
+        connectWallet();
+      }, 3000); // ✅ 3 seconds per MetaMask/Trust/Coinbase docs
+
+      // Cleanup timeout if component unmounts
+      return () => clearTimeout(timeoutId);
+    }
+
+    // Reset the ref when we leave the connection step or get disconnected
+    if (currentStep !== 'connection' || !walletEnv?.isInAppBrowser) {
+      autoConnectAttemptedRef.current = false;
+    }
+  }, [currentStep, walletEnv?.isInAppBrowser, isConnected]);
+
+  // Move the payment to another network: the backend issues the variant first, then the wallet switches
+  const selectPaymentNetwork = async (option) => {
+    setSwitchingNetwork(true);
+    setNetworkSwitchError('');
+    logDebug('info', `🔀 Payer selected ${option.network} (chain ${option.chainId})`);
+
+    try {
+      const variant = await api.getPaymentVariant(paymentData.paymentId, option.chainId);
+      const variantData = {
+        ...paymentData,
+        ...mapBackendPayment(variant),
+        paymentId: variant.id || paymentData.paymentId,
+        splitterPaymentId: variant.splitterPaymentId || variant.id || paymentData.splitterPaymentId,
+        amountInWei: variant.amountInWei || ''
+      };
+
+      const variantValidation = validatePaymentParams(variantData, {
+        required: COMPLETE_PAYMENT_FIELDS,
+        supportedChainIds: SUPPORTED_CHAIN_IDS
+      });
+      if (!variantValidation.isValid) {
+        throw new Error(`${variantValidation.error} (${variantValidation.code})`);
+      }
+
+      logDebug('success', '✅ Payment variant received', {
+        chainId: variantData.chainId,
+        contractAddress: variantData.contractAddress,
+        tokenContract: variantData.tokenContract
+      });
+
+      if (chain?.id !== option.chainId) {
+        await switchChainAsync({ chainId: option.chainId });
+        logDebug('success', '✅ Chain switch successful');
+      }
+
+      setPaymentData(variantData);
+    } catch (err) {
+      logDebug('error', '❌ Failed to switch payment network', { error: err.message });
+      // Shown next to the network options; the payer can still pay on the original network
+      setNetworkSwitchError(err.code === 4001
+        ? 'Network switch was cancelled'
+        : `Could not pay on ${option.network}: ${err.message}`);
+    } finally {
+      setSwitchingNetwork(false);
+    }
+  };
+
+  // EIP-5792 batched execution: sends approve + splitPayment via wallet_sendCalls
+  // and follows the bundle with wallet_getCallsStatus, returning the split transaction hash
+  const executeAtomicBatch = async ({ amountInUnits, chainId, abi, paymentDetails }) => {
+    setTransactionStep('batch');
+    logDebug('info', '🧩 Sending approve + split payment bundle...');
+
+    const { id } = await sendCalls(config, {
+      account: address,
+      chainId,
+      forceAtomic: true,
+      calls: buildApproveAndSplitCalls({
+        tokenAddress: paymentData.tokenContract,
+        splitterAddress: paymentData.contractAddress,
+        splitterAbi: abi,
+        amount: amountInUnits,
+        paymentDetails
+      })
+    });
+
+    logDebug('success', '✅ Call bundle submitted', { bundleId: id });
+
+    const bundle = await pollCallsStatus(config, id, {
+      onStatus: (result) => {
+        setTransactionStep(result.status === 'pending' ? 'batchPending' : 'processing');
+        if (result.error) {
+          logDebug('debug', '⏳ Call bundle status not available yet', { error: result.error });
+        }
+      }
+    });
+
+    logDebug(bundle.status === 'success' ? 'success' : 'error', `🧩 Call bundle ${bundle.status}`, {
+      bundleId: id,
+      statusCode: bundle.statusCode,
+      receipts: bundle.receipts?.map(r => ({ transactionHash: r.transactionHash, status: r.status }))
+    });
+
+    if (bundle.status !== 'success') {
+      throw new Error('Batched payment failed on chain. No funds were moved.');
+    }
+
+    // Atomic bundles may settle as one transaction or one per call; the split call is last
+    const splitReceipt = bundle.receipts?.[bundle.receipts.length - 1];
+    if (!splitReceipt?.transactionHash) {
+      throw new Error('Wallet did not return a transaction hash for the batched payment');
+    }
+
+    setTransactionHash(splitReceipt.transactionHash);
+    return splitReceipt.transactionHash;
+  };
+
+  // Uniswap Permit2 SignatureTransfer: reuses the payer's existing Permit2 allowance
+  // Returns the signed transfer, or null to fall back to permit/approve
+  const tryPermit2Authorization = async ({ amountInUnits, chainId, contractInfo }) => {
+    if (!splitterSupportsPermit2(contractInfo)) {
+      return null;
+    }
+
+    const permit2Address = getPermit2Address(contractInfo);
+    logDebug('info', '🔏 Checking Permit2 allowance...', { permit2Address });
+
+    let permit2Allowance;
+    try {
+      permit2Allowance = await getPermit2Allowance(config, {
+        tokenAddress: paymentData.tokenContract,
+        owner: address,
+        permit2Address
+      });
+    } catch (allowanceError) {
+      logDebug('warning', '⚠️ Permit2 allowance check failed', { error: allowanceError.message });
+      return null;
+    }
+
+    if (permit2Allowance < amountInUnits) {
+      logDebug('info', 'ℹ️ No sufficient Permit2 allowance, skipping Permit2', {
+        permit2Allowance: permit2Allowance.toString(),
+        required: amountInUnits.toString()
+      });
+      return null;
+    }
+
+    try {
+      setTransactionStep('permit');
+      logDebug('info', '🔏 Requesting Permit2 transfer signature...');
+
+      const signedTransfer = await signPermit2Transfer(config, {
+        tokenAddress: paymentData.tokenContract,
+        amount: amountInUnits,
+        owner: address,
+        spender: paymentData.contractAddress,
+        chainId,
+        permit2Address
+      });
+
+      logDebug('success', '✅ Permit2 transfer signed', {
+        nonce: signedTransfer.permit.nonce.toString(),
+        deadline: signedTransfer.permit.deadline.toString()
+      });
+      return signedTransfer;
+    } catch (permit2Error) {
+      if (permit2Error.message?.includes('User rejected') || permit2Error.code === 4001) {
+        throw permit2Error;
+      }
+      logDebug('warning', '⚠️ Permit2 signing failed, falling back', { error: permit2Error.message });
+      return null;
+    } finally {
+      setTransactionStep('approve');
+    }
+  };
+
+  // EIP-2612 / DAI permit: one signature replaces the separate approve transaction
+  // Returns the signed permit, or null to fall back to the approve path
+  const tryPermitAuthorization = async ({ amountInUnits, chainId, abi }) => {
+    if (!splitterSupportsPermit(abi, 'eip2612') && !splitterSupportsPermit(abi, 'dai')) {
+      logDebug('info', 'ℹ️ Splitter contract has no permit entry point, using approve');
+      return null;
+    }
+
+    logDebug('info', '🔏 Checking token permit support...');
+    const permit = await detectPermitSupport(config, {
+      tokenAddress: paymentData.tokenContract,
+      owner: address,
+      chainId
+    });
+
+    if (!permit.supported || !splitterSupportsPermit(abi, permit.permitType)) {
+      logDebug('info', 'ℹ️ Permit not available, falling back to approve', {
+        reason: permit.reason || `Splitter has no ${permit.permitType} permit entry point`
+      });
+      return null;
+    }
+
+    try {
+      setTransactionStep('permit');
+      logDebug('info', '🔏 Requesting permit signature...', {
+        permitType: permit.permitType,
+        domain: permit.domain
+      });
+
+      const signedPermit = await signPermit(config, {
+        permit,
+        owner: address,
+        spender: paymentData.contractAddress,
+        value: amountInUnits
+      });
+
+      logDebug('success', '✅ Permit signed', {
+        permitType: signedPermit.permitType,
+        deadline: signedPermit.deadline.toString()
+      });
+      return signedPermit;
+    } catch (permitError) {
+      // A rejected signature is a cancellation, not a reason to ask for an approval instead
+      if (permitError.message?.includes('User rejected') || permitError.code === 4001) {
+        throw permitError;
+      }
+      logDebug('warning', '⚠️ Permit signing failed, falling back to approve', {
+        error: permitError.message
+      });
+      return null;
+    } finally {
+      setTransactionStep('approve');
+    }
+  };
+
+  // Enhanced payment execution (aligned with useTransactionHandling.js)
+  const executePayment = async () => {
+    if (!address || !paymentData) {
+      logDebug('error', '❌ Missing required data', {
+        hasAddress: !!address,
+        hasPaymentData: !!paymentData
+      });
+      setError('Missing wallet connection or payment data');
+      return;
+    }
+
+    // A payment already sent for this paymentId whose outcome is unknown is followed to its receipt, never sent twice
+    if (getInFlightPayment(paymentData.paymentId)?.splitHash) {
+      logDebug('warning', '♻️ Payment already sent - following it instead of sending again', getInFlightPayment(paymentData.paymentId));
+      await resumeInFlightPayment(paymentData);
+      return;
+    }
+
+    // Top-ups complete a payment that was already sent in time, so they are not subject to the expiry
+    const topUp = amountMismatch?.type === MISMATCH_TYPES.UNDERPAID ? amountMismatch : null;
+
+    // Checked against the clock rather than the countdown state, which can lag a second behind
+    if (!topUp && isPaymentExpired(paymentData.expiresAt)) {
+      logDebug('error', '⏰ Payment request expired - refusing to execute', { expiresAt: paymentData.expiresAt });
+      setCurrentStep('expired');
+      return;
+    }
+
+    if (!topUp && paymentData.installments && getInstallmentError(paymentData, installmentAmount)) {
+      logDebug('error', '🧩 Invalid installment amount - refusing to execute', { error: getInstallmentError(paymentData, installmentAmount) });
+      return;
+    }
+
+    const invoiceSummary = getInvoiceSummary(paymentData);
+    if (invoiceSummary && !invoiceSummary.matches) {
+      logDebug('error', '🧾 Invoice total does not match the amount charged - refusing to execute', invoiceSummary);
+      showError('The invoice total does not match the amount being charged. Please contact the merchant for a corrected invoice.');
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      setError(null);
+      setCurrentStep('processing');
+
+      logDebug('info', '🔄 Starting enhanced payment execution...');
+      logDebug('debug', '📊 Payment execution parameters', {
+        address,
+        paymentData,
+        chain: chain?.id,
+        chainName: chain?.name
+      });
+
+      // Native coin payments (ETH/BNB/MATIC/AVAX/CELO) send value directly, no approval needed
+      const isNative = isNativeTokenPayment(paymentData);
+      const nativeCurrency = getNativeCurrency(paymentData.chainId);
+
+      // Top-ups charge the shortfall and installments the chosen part of the remaining balance,
+      // each under their own splitter payment ID
+      let payment = paymentData;
+      if (topUp) {
+        logDebug('info', `➕ Registering top-up of ${topUp.difference} ${paymentData.token}...`);
+        const registered = await api.createTopUp(paymentData.paymentId, topUp.difference);
+        payment = {
+          ...paymentData,
+          amount: topUp.difference,
+          amountInWei: registered.amountInWei || topUp.differenceUnits.toString(),
+          splitterPaymentId: registered.splitterPaymentId || paymentData.splitterPaymentId
+        };
+        logDebug('success', '✅ Top-up registered', registered);
+      } else if (paymentData.installments) {
+        const chargeAmount = getInstallmentCharge(paymentData, installmentAmount);
+        logDebug('info', `🧩 Registering installment of ${chargeAmount} ${paymentData.token}...`);
+        const installment = await api.createInstallment(paymentData.paymentId, chargeAmount);
+        payment = {
+          ...paymentData,
+          amount: chargeAmount,
+          amountInWei: installment.amountInWei || '',
+          splitterPaymentId: installment.splitterPaymentId || paymentData.splitterPaymentId
+        };
+        logDebug('success', '✅ Installment registered', installment);
+      }
+
+      // Get token decimals and amount (using exact backend data)
+      const { amountInUnits, decimals } = getPaymentAmountInUnits(payment, isNative);
+
+      console.log('💰 Payment details:', {
+        amount: amountInUnits.toString(),
+        decimals,
+        token: paymentData.token,
+        contract: paymentData.tokenContract,
+        isNative
+      });
+
+      // Step 1: Check token balance with retry logic
+      setTransactionStep(isNative ? 'splitPayment' : 'approve');
+      logDebug('info', isNative ? '💰 Step 1: Checking native balance...' : '💰 Step 1: Checking token balance...');
+
+      let balance = null;
+      let balanceCheckAttempts = 0;
+      const maxBalanceCheckAttempts = 3;
+
+      // ✅ RETRY LOGIC: Try multiple times with exponential backoff
+      while (balanceCheckAttempts < maxBalanceCheckAttempts) {
+        try {
+          balance = isNative
+            ? (await getBalance(config, { address })).value
+            : await readContract(config, {
+                address: paymentData.tokenContract,
+                abi: erc20Abi,
+                functionName: 'balanceOf',
+                args: [address]
+              });
+
+          logDebug('success', '💰 Balance check complete', {
+            tokenContract: isNative ? 'native' : paymentData.tokenContract,
+            userAddress: address,
+            balance: balance.toString(),
+            required: amountInUnits.toString(),
+            hasEnough: balance >= amountInUnits,
+            difference: (balance - amountInUnits).toString(),
+            attemptNumber: balanceCheckAttempts + 1
+          });
+
+          break; // Success, exit retry loop
+        } catch (balanceError) {
+          balanceCheckAttempts++;
+          logDebug('warning', `⚠️ Balance check attempt ${balanceCheckAttempts} failed`, {
+            error: balanceError.message,
+            cause: balanceError.cause?.shortMessage || balanceError.cause?.message,
+            details: balanceError.details,
+            willRetry: balanceCheckAttempts < maxBalanceCheckAttempts,
+            tokenContract: paymentData.tokenContract,
+            network: chain?.name
+          });
+
+          if (balanceCheckAttempts >= maxBalanceCheckAttempts) {
+            logDebug('warning', '⚠️ Balance check failed after all retries, proceeding without validation');
+            logDebug('info', '💡 Wallet will validate balance during transaction execution');
+            balance = null; // Skip balance validation
+            break;
+          }
+
+          // Exponential backoff: 1s, 2s, 3s
+          await new Promise(resolve => setTimeout(resolve, 1000 * balanceCheckAttempts));
+        }
+      }
+
+      // Only validate balance if we successfully retrieved it
+      // (native gas headroom is checked after simulation, once the split call can be estimated)
+      if (balance !== null && balance < amountInUnits) {
+        logDebug('error', '❌ Insufficient token balance', {
+          required: amountInUnits.toString(),
+          available: balance.toString(),
+          token: paymentData.token
+        });
+        throw new Error(`Insufficient ${paymentData.token} balance. Required: ${payment.amount} ${paymentData.token}`);
+      } else if (balance === null) {
+        logDebug('info', '⏭️ Skipping balance validation due to RPC errors - wallet will handle it');
+      }
+
+      // Get contract ABI from backend (as designed in useTransactionHandling)
+      // Fetched before Step 2 because the ABI tells us whether permit-plus-split is available
+      const chainId = parseInt(paymentData.chainId);
+
+      logDebug('debug', '🔗 Fetching contract ABI from backend', {
+        chainId,
+        apiUrl: api.apiUrl,
+        endpoint: `/api/payments/contract/${chainId}`
+      });
+
+      let contractInfo;
+      try {
+        logDebug('debug', '🌐 API Environment Check', {
+          apiUrl: api.apiUrl,
+          hasCredentials: api.hasCredentials,
+          endpoint: `/api/payments/contract/${chainId}`,
+          currentDomain: window.location.origin,
+          userAgent: navigator.userAgent
+        });
+
+        contractInfo = await fetchContractInfo(queryClient, chainId, api);
+        logDebug('success', '✅ Contract ABI fetched from backend', {
+          hasAbi: !!contractInfo?.abi,
+          contractAddress: contractInfo?.address,
+          abiLength: contractInfo?.abi?.length || 0
+        });
+      } catch (abiError) {
+        logDebug('error', '❌ Failed to fetch contract ABI', {
+          error: abiError.message,
+          chainId,
+          stack: abiError.stack,
+          possibleCauses: [
+            'CORS policy blocking cross-origin request',
+            'Backend server down or unreachable',
+            'Invalid API credentials',
+            'Network connectivity issue',
+            'Chain ID not supported by backend'
+          ],
+          debugSteps: [
+            '1. Check browser network tab for actual HTTP status',
+            '2. Verify backend CORS settings allow payment screen domain',
+            '3. Test API endpoint directly in browser',
+            '4. Check environment variables are loaded'
+          ]
+        });
+        throw new Error(`Failed to fetch contract ABI: ${abiError.message}`);
+      }
+
+      const { abi } = contractInfo;
+
+      // Older splitters only take three recipients; refuse before any approval is sent
+      if (hasAdditionalRecipients(paymentData) && !supportsRecipientArrays(abi)) {
+        throw new Error(`This payment is split between more than ${LEGACY_RECIPIENT_COUNT} recipients, which the payment contract on this network does not support.`);
+      }
+
+      // Gas pre-check: approve + split fees (and the amount itself for native coin) come out of the native balance
+      let feeEstimate = null;
+      try {
+        // The resolved payment: top-ups and installments charge less than the invoice
+        feeEstimate = await estimateNetworkFees({ paymentData: payment, account: address, abi, amountInUnits, isNative });
+        logDebug('info', '⛽ Native balance check including gas', {
+          nativeBalance: feeEstimate.nativeBalance.toString(),
+          approveGas: feeEstimate.approveGas.toString(),
+          splitGas: feeEstimate.splitGas.toString(),
+          splitEstimated: feeEstimate.splitEstimated,
+          estimatedGasCost: feeEstimate.totalCost.toString(),
+          measuredGasCost: feeEstimate.measuredCost.toString(),
+          totalRequired: feeEstimate.requiredNative.toString(),
+          hasEnough: feeEstimate.hasEnoughNative
+        });
+      } catch (gasError) {
+        logDebug('warning', '⚠️ Gas estimation failed, wallet will validate network fees', {
+          error: gasError.message
+        });
+      }
+
+      // The split fee is a fallback guess until the splitter has an allowance, so the payment is refused only when
+      // the measured part (approve gas, the estimated split, the native amount) already exceeds the balance
+      if (feeEstimate && !feeEstimate.hasEnoughForMeasured) {
+        const symbol = nativeCurrency?.symbol || paymentData.token;
+        const feeText = formatUnits(feeEstimate.splitEstimated ? feeEstimate.totalCost : feeEstimate.measuredCost, feeEstimate.decimals);
+        const feeQualifier = feeEstimate.splitEstimated ? 'about' : 'at least';
+        throw new Error(isNative
+          ? `Insufficient ${symbol} balance. Required: ${payment.amount} ${symbol} plus ${feeEstimate.splitEstimated ? `about ${feeText} ${symbol} for ` : ''}network fees`
+          : `Insufficient ${symbol} for network fees. You need ${feeQualifier} ${feeText} ${symbol} to pay for gas`);
+      } else if (feeEstimate && !feeEstimate.hasEnoughNative) {
+        logDebug('warning', '⚠️ Native balance may not cover network fees; the wallet will validate them', {
+          nativeBalance: feeEstimate.nativeBalance.toString(),
+          measuredRequired: feeEstimate.measuredRequiredNative.toString(),
+          totalRequired: feeEstimate.requiredNative.toString()
+        });
+      }
+
+      // Step 2: Check and approve if needed (aligned with useTransactionHandling)
+      let signedPermit = null;
+      let permit2Transfer = null;
+      let useAtomicBatch = false;
+      if (isNative) {
+        logDebug('info', '⏭️ Step 2: Native coin payment - no token approval needed');
+      } else {
+        logDebug('info', '🔐 Step 2: Checking token allowance...');
+
+        let allowance = BigInt(0); // Default to 0 (needs approval)
+        let allowanceCheckAttempts = 0;
+        const maxAllowanceCheckAttempts = 3;
+
+        // ✅ RETRY LOGIC: Try allowance check with exponential backoff
+        while (allowanceCheckAttempts < maxAllowanceCheckAttempts) {
+          try {
+            allowance = await readContract(config, {
+              address: paymentData.tokenContract,
+              abi: erc20Abi,
+              functionName: 'allowance',
+              args: [address, paymentData.contractAddress]
+            });
+
+            logDebug('success', '🔐 Allowance check complete', {
+              spender: paymentData.contractAddress,
+              allowance: allowance.toString(),
+              required: amountInUnits.toString(),
+              needsApproval: allowance < amountInUnits,
+              currentAllowance: allowance.toString(),
+              attemptNumber: allowanceCheckAttempts + 1
+            });
+
+            break; // Success, exit retry loop
+          } catch (allowanceError) {
+            allowanceCheckAttempts++;
+            logDebug('warning', `⚠️ Allowance check attempt ${allowanceCheckAttempts} failed`, {
+              error: allowanceError.message,
+              cause: allowanceError.cause?.shortMessage || allowanceError.cause?.message,
+              willRetry: allowanceCheckAttempts < maxAllowanceCheckAttempts,
+              tokenContract: paymentData.tokenContract
+            });
+
+            if (allowanceCheckAttempts >= maxAllowanceCheckAttempts) {
+              logDebug('warning', '⚠️ Allowance check failed after all retries, defaulting to 0 (will request approval)');
+              allowance = BigInt(0); // Default to 0 to trigger approval
+              break;
+            }
+
+            // Exponential backoff: 1s, 2s, 3s
+            await new Promise(resolve => setTimeout(resolve, 1000 * allowanceCheckAttempts));
+          }
+        }
+
+        // Prefer a single permit signature over a separate approve transaction
+        // Prefer one atomic approve+split bundle (EIP-5792), then Permit2 (existing allowance),
+        // then token permit, then the approve fallback
+        if (allowance < amountInUnits) {
+          const walletCapabilities = await detectWalletCapabilities(config, { account: address, chainId });
+          logDebug('info', '🧩 Wallet capabilities (EIP-5792)', {
+            supportsAtomicBatch: walletCapabilities.supportsAtomicBatch,
+            atomicStatus: walletCapabilities.atomicStatus,
+            error: walletCapabilities.error
+          });
+          useAtomicBatch = walletCapabilities.supportsAtomicBatch;
+        }
+        if (allowance < amountInUnits && !useAtomicBatch) {
+          permit2Transfer = await tryPermit2Authorization({ amountInUnits, chainId, contractInfo });
+        }
+        if (allowance < amountInUnits && !useAtomicBatch && !permit2Transfer) {
+          signedPermit = await tryPermitAuthorization({ amountInUnits, chainId, abi });
+        }
+
+        if (useAtomicBatch) {
+          logDebug('info', '🧩 Approval will be batched with the split payment');
+        } else if (allowance < amountInUnits && !signedPermit && !permit2Transfer) {
+          logDebug('info', '🔐 Executing token approval...');
+
+          saveInFlightPayment(paymentData.paymentId, { chainId, account: address, step: 'approval', approvalHash: null, splitHash: null });
+          const approveHash = await writeContract(config, {
+            address: paymentData.tokenContract,
+            abi: erc20Abi,
+            functionName: 'approve',
+            args: [paymentData.contractAddress, amountInUnits]
+          });
+
+          logDebug('success', '✅ Approval transaction sent', {
+            transactionHash: approveHash,
+            tokenContract: paymentData.tokenContract,
+            spender: paymentData.contractAddress,
+            amount: amountInUnits.toString()
+          });
+
+          setTransactionHash(approveHash);
+          saveInFlightPayment(paymentData.paymentId, { approvalHash: approveHash });
+
+          // Wait for approval to be mined so the split payment sees the allowance
+          logDebug('info', '⏳ Waiting for approval confirmation...');
+          const approveReceipt = await waitForTransactionReceipt(config, { hash: approveHash, chainId });
+          if (approveReceipt.status !== 'success') {
+            throw new Error('Token approval transaction reverted. No payment was made.');
+          }
+          logDebug('success', '✅ Approval confirmed', {
+            blockNumber: approveReceipt.blockNumber.toString()
+          });
+        } else if (!signedPermit && !permit2Transfer) {
+          logDebug('info', '✅ Token already approved, skipping approval step');
+        }
+      }
+
+      // Step 3: Execute split payment (aligned with enhanced transaction handling)
+      setTransactionStep('splitPayment');
+      logDebug('info', '💸 Step 3: Executing split payment...');
+
+      const paymentDetails = buildSplitPaymentDetails(payment, amountInUnits, isNative, abi);
+
+      logDebug('debug', '🔍 Split payment details prepared', {
+        ...paymentDetails,
+        contractAddress: paymentData.contractAddress,
+        value: isNative ? amountInUnits.toString() : '0'
+      });
+
+      // Simulate first to check for errors (as in useTransactionHandling)
+      logDebug('info', '🧪 Simulating split payment transaction...');
+
+      // Recorded before the wallet is asked, so a reload while the payer is in the wallet app can resume
+      saveInFlightPayment(paymentData.paymentId, { chainId, account: address, step: 'splitPayment', splitHash: null });
+
+      let splitHash;
+      if (useAtomicBatch) {
+        // EIP-5792: approve + splitPayment in one wallet confirmation (no simulation, allowance is set inside the bundle)
+        splitHash = await executeAtomicBatch({ amountInUnits, chainId, abi, paymentDetails });
+      } else {
+        // Signatures go through the permit-plus-split entry points instead of splitPayment
+        const splitCall = permit2Transfer
+          ? buildPermit2SplitCall(paymentDetails, permit2Transfer)
+          : signedPermit
+            ? buildPermitSplitCall(paymentDetails, signedPermit)
+            : { functionName: 'splitPayment', args: [paymentDetails] };
+
+        let request;
+        try {
+          const simulationResult = await simulateContract(config, {
+            address: paymentData.contractAddress,
+            abi: abi,
+            functionName: splitCall.functionName,
+            args: splitCall.args,
+            account: address,
+            // Native coin is sent as msg.value to the splitter
+            value: isNative ? amountInUnits : undefined
+          });
+          request = simulationResult.request;
+
+          logDebug('success', '✅ Simulation successful', {
+            functionName: splitCall.functionName,
+            contractAddress: paymentData.contractAddress,
+            from: address
+          });
+        } catch (simError) {
+          logDebug('error', '❌ Simulation failed', {
+            error: simError.message,
+            cause: simError.cause,
+            details: simError.details,
+            contractAddress: paymentData.contractAddress,
+            functionName: splitCall.functionName,
+            args: paymentDetails
+          });
+          throw new Error(`Transaction simulation failed: ${simError.message}`);
+        }
+
+        // Execute the split payment transaction
+        logDebug('info', '📝 Executing transaction...');
+        splitHash = await writeContract(config, request);
+        setTransactionHash(splitHash);
+        logDebug('success', '✅ Split payment transaction sent', {
+          transactionHash: splitHash
+        });
+      }
+
+      saveInFlightPayment(paymentData.paymentId, { splitHash });
+
+      // Wait for the split payment to be mined and confirmed before reporting success
+      setTransactionStep('confirming');
+      logDebug('info', '⏳ Waiting for on-chain confirmation...');
+      const splitReceipt = await waitForConfirmedReceipt(config, {
+        hash: splitHash,
+        chainId,
+        abi,
+        onConfirmation: (current, required) => setConfirmations({ current, required }),
+        onReplaced: ({ reason, hash, replacedHash }) => {
+          logDebug('warning', reason === 'repriced'
+            ? '⚡ Transaction was sped up in wallet, following new hash'
+            : `⚠️ Transaction was ${reason} in wallet`, { reason, replacedHash, newHash: hash });
+          setTransactionHash(hash);
+          saveInFlightPayment(paymentData.paymentId, { splitHash: hash });
+        }
+      });
+      // The wallet may have sped the transaction up; the receipt has the hash that was mined
+      splitHash = splitReceipt.transactionHash;
+      logDebug('success', '✅ Payment confirmed on-chain', {
+        transactionHash: splitHash,
+        blockNumber: splitReceipt.blockNumber.toString(),
+        gasUsed: splitReceipt.gasUsed.toString()
+      });
+
+      setTransactionStep('processing');
+
+      // Notify backend through the outbox, which keeps retrying until the backend acknowledges the payment
+      await notifyMerchant({
+        paymentId: paymentData.paymentId,
+        transactionHash: splitHash,
+        networkName: getNetworkShortName(paymentData.chainId),
+        senderAddress: address,
+        isNative
+      });
+
+      if (topUp) {
+        await reportMismatchOutcome(MISMATCH_OUTCOMES.TOPPED_UP, { topUpTransactionHash: splitHash });
+        setAmountMismatch(null);
+      } else if (paymentData.installments) {
+        setPaymentData(prev => ({
+          ...prev,
+          installments: recordInstallment(prev.installments, { hash: splitHash, amount: payment.amount }, decimals)
+        }));
+        setInstallmentAmount('');
+      }
+
+      setCurrentStep('success', { transactionHash: splitHash });
+
+    } catch (err) {
+      logDebug('error', '❌ Enhanced payment execution failed', {
+        error: err.message,
+        code: err.code,
+        stack: err.stack,
+        cause: err.cause,
+        details: err.details,
+        fullError: err
+      });
+
+      let errorMessage = err.message;
+      if (err.reverted) {
+        errorMessage = `Payment transaction failed on-chain: ${err.reason}`;
+      } else if (err.cancelled || err.replaced || err.dropped) {
+        errorMessage = err.message;
+      } else if (err.message?.includes('User rejected') || err.code === 4001) {
+        errorMessage = 'Transaction was cancelled by user';
+      } else if (err.message?.includes('insufficient funds')) {
+        errorMessage = 'Insufficient funds for gas fees';
+      } else if (err.message?.includes('simulation failed')) {
+        errorMessage = 'Transaction would fail. Please check your balance and try again.';
+      } else if (err.type === API_ERROR_TYPES.NETWORK || err.type === API_ERROR_TYPES.TIMEOUT || err.message?.includes('fetch')) {
+        errorMessage = 'Network error: Failed to communicate with backend. Please check your connection.';
+        logDebug('error', '🌐 Network/Fetch error detected', {
+          possibleCauses: [
+            'CORS issue with backend API',
+            'Backend server is down',
+            'Network connectivity issue',
+            'API endpoint not found',
+            'Authentication failed'
+          ]
+        });
+      }
+
+      // Keep the in-flight record only while a sent payment's outcome is unknown, so a reload still finds it
+      if (!getInFlightPayment(paymentData.paymentId)?.splitHash || isFinalReceiptError(err)) {
+        clearInFlightPayment(paymentData.paymentId);
+      }
+
+      if (topUp) {
+        await reportMismatchOutcome(MISMATCH_OUTCOMES.TOP_UP_FAILED, { error: errorMessage });
+      }
+
+      showError(errorMessage);
+    } finally {
+      setProcessing(false);
+      setTransactionStep('idle');
+    }
+  };
+
+  // Manual payment verification (for mobile deep-link flow)
+  const verifyPayment = async () => {
+    setVerifying(true);
+    logDebug('info', '🔍 Manually verifying payment...');
+
+    try {
+      // First check payment status
+      const statusResponse = await api.checkPaymentStatus(paymentData.paymentId);
+
+      logDebug('debug', '📊 Payment status check', {
+        status: statusResponse.payment?.status,
+        paymentId: paymentData.paymentId
+      });
+
+      const message = await confirmWalletAppPayment(paymentData, statusResponse);
+      if (message) {
+        // Payment not found yet
+        logDebug('warning', '⏳ ' + message);
+        setError(message + '. Please wait a moment and try again, or ensure you completed the transaction in your wallet.');
+      }
+    } catch (err) {
+      console.error('Verification error:', err);
+      logDebug('error', '❌ Verification failed', { error: err.message });
+      setError('Failed to verify payment: ' + err.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  // Report how an underpayment or overpayment was resolved; reporting failures never block the payer
+  const reportMismatchOutcome = async (outcome, details = {}) => {
+    const resolution = {
+      outcome,
+      mismatchType: amountMismatch.type,
+      expectedAmount: amountMismatch.expected,
+      paidAmount: amountMismatch.paid,
+      difference: amountMismatch.difference,
+      transactionHash: amountMismatch.transactionHash,
+      ...details
+    };
+
+    try {
+      await api.reportAmountResolution(paymentData.paymentId, resolution);
+      logDebug('success', `⚖️ Amount resolution reported: ${outcome}`, resolution);
+      return true;
+    } catch (err) {
+      logDebug('error', '❌ Failed to report amount resolution', { outcome, error: err.message });
+      return false;
+    }
+  };
+
+  // Overpayments: the excess goes back to an address the payer chooses, or stays with the merchant
+  const resolveOverpayment = async (outcome) => {
+    const details = {};
+    if (outcome === MISMATCH_OUTCOMES.REFUND_REQUESTED) {
+      const refundTo = refundAddress.trim();
+      if (checkAddress(refundTo) || refundTo.toLowerCase() === zeroAddress) {
+        setMismatchResolution({ loading: false, error: 'Enter a valid wallet address for the refund', notice: '' });
+        return;
+      }
+      details.refundAddress = refundTo;
+    }
+
+    setMismatchResolution({ loading: true, error: '', notice: '' });
+    const reported = await reportMismatchOutcome(outcome, details);
+    if (!reported) {
+      setMismatchResolution({ loading: false, error: 'Could not send your choice to the merchant. Please try again.', notice: '' });
+      return;
+    }
+
+    setMismatchResolution({ loading: false, error: '', notice: '' });
+    // The backend found the transfer on chain when it reported the mismatch
+    setCurrentStep('success', { confirmed: true });
+  };
+
+  // Underpayments the payer doesn't top up stay open for the merchant to settle; once reported, the step
+  // shows the notice instead of its actions
+  const acceptUnderpayment = async () => {
+    setMismatchResolution({ loading: true, error: '', notice: '' });
+    const reported = await reportMismatchOutcome(MISMATCH_OUTCOMES.UNDERPAYMENT_ACCEPTED);
+    setMismatchResolution(reported
+      ? { loading: false, error: '', notice: `The merchant has been notified that ${amountMismatch.difference} ${paymentData.token} is still outstanding.` }
+      : { loading: false, error: 'Could not notify the merchant. Please try again.', notice: '' });
+  };
+
+  // Expired payments can't be executed; the backend may reissue them under a new link
+  const requestFreshLink = async () => {
+    setLinkRenewal({ loading: true, error: '' });
+    try {
+      const paymentUrl = await api.requestFreshPaymentLink(paymentData.paymentId);
+      logDebug('success', '🔁 Fresh payment link issued', { paymentUrl });
+      window.location.assign(paymentUrl);
+    } catch (err) {
+      logDebug('error', '❌ Failed to request fresh payment link', { error: err.message });
+      setLinkRenewal({ loading: false, error: 'Could not renew this payment. Please ask the merchant for a new payment link.' });
+    }
+  };
+
+  // Auto-approval (flow option): start the payment once the wallet is connected on the payment's network.
+  // Installment payments wait for the payer to choose how much to pay.
+  const readyToAutoApprove = flowOptions.autoApprove &&
+    currentStep === 'confirmation' &&
+    isConnected &&
+    !!paymentData &&
+    !paymentData.installments &&
+    chain?.id === parseInt(paymentData.chainId);
+  const autoApprovedRef = useRef(false);
+  const executePaymentRef = useRef(executePayment);
+  executePaymentRef.current = executePayment;
+
+  useEffect(() => {
+    // Coming back to confirmation (Try Again after a failure) starts another automatic attempt
+    if (currentStep !== 'confirmation') {
+      autoApprovedRef.current = false;
+      return undefined;
+    }
+    if (!readyToAutoApprove || autoApprovedRef.current) return undefined;
+
+    logDebug('info', '⚡ Auto-approval: starting payment', { delayMs: flowOptions.autoApprovalDelayMs });
+
+    // Wallets need a moment after connecting before they accept transaction requests
+    const timeoutId = setTimeout(() => {
+      autoApprovedRef.current = true;
+      executePaymentRef.current();
+    }, flowOptions.autoApprovalDelayMs);
+
+    return () => clearTimeout(timeoutId);
+  }, [currentStep, readyToAutoApprove, flowOptions.autoApprovalDelayMs]);
+
+  // The payer never sent the resumed payment (e.g. rejected it in the wallet app): pay it now
+  const restartPayment = () => {
+    clearInFlightPayment(paymentData.paymentId);
+    setError(null);
+    setCurrentStep('connection');
+  };
+
+  // Actions for the step components
+  return {
+    connectWallet,
+    executePayment,
+    verifyPayment,
+    selectPaymentNetwork,
+    resolveOverpayment,
+    acceptUnderpayment,
+    requestFreshLink,
+    restartPayment
+  };
+};
+
+export default usePaymentFlow;
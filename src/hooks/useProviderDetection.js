@@ -1,5 +1,7 @@
 import { useEffect } from 'react';
-import usePaymentStore from '../stores/paymentStore';
+import { getCapabilities } from '@wagmi/core';
+import usePaymentStore, { logDebug } from '../stores/paymentStore';
+import { PRESENTATIONS } from '../utils/flowOptionsUtils';
 
 /**
  * EIP-6963 Multi-Injected Provider Discovery Hook
@@ -137,47 +139,360 @@ export const waitForProviderInit = (eventName, globalObject, timeout = 3000) =>
 
 /**
  * Detect wallet environment (in-app browser or external)
- * Enhanced version with better Trust Wallet detection
+ * Checks every place Trust Wallet, MetaMask and Coinbase inject their providers
  *
- * @returns {object} Wallet environment details
+ * @returns {object} Wallet environment details, including the Trust Wallet provider when found
  */
 export const detectWalletEnvironment = () => {
   const userAgent = navigator.userAgent.toLowerCase();
   const ethereum = window.ethereum;
-  const trustwallet = window.trustwallet;
 
-  // Check for multiple providers (MetaMask/Coinbase can have this structure)
-  const providers = ethereum?.providers || [];
+  // ⭐ FIX: Don't call getTrustWalletProvider() here to avoid circular calls during logging
+  // Instead, do a simple inline check for Trust Wallet
+  const trustwalletProvider = window.trustwallet?.ethereum ||
+                              window.ethereum?.providers?.find(p => p.isTrust || p.isTrustWallet) ||
+                              (window.ethereum?.isTrust || window.ethereum?.isTrustWallet ? window.ethereum : null);
+
+  // Check multiple provider properties (MetaMask/Coinbase can have different structures)
+  const providers = window.ethereum?.providers || [];
   const hasMetaMask = !!(ethereum?.isMetaMask || providers.find(p => p.isMetaMask));
   const hasCoinbase = !!(ethereum?.isCoinbaseWallet || ethereum?.isCoinbaseBrowser || providers.find(p => p.isCoinbaseWallet));
 
-  // ✅ TRUST WALLET: Check window.trustwallet AND window.ethereum
+  // ✅ TRUST WALLET: Use comprehensive detection
   const hasTrust = !!(
-    trustwallet ||
+    trustwalletProvider ||
     ethereum?.isTrust ||
     ethereum?.isTrustWallet ||
     userAgent.includes('trust')
   );
 
-  const isMobile = /android|webos|iphone|ipad|ipod|blackberry|iemobile|opera mini/i.test(navigator.userAgent);
-  const isInAppBrowser = !!((ethereum || trustwallet) && (hasMetaMask || hasTrust || hasCoinbase));
-
-  const walletType = hasTrust ? 'trust' :
-                     hasMetaMask ? 'metamask' :
-                     hasCoinbase ? 'coinbase' :
-                     userAgent.includes('trust') ? 'trust' :
-                     userAgent.includes('metamask') ? 'metamask' :
-                     userAgent.includes('coinbase') ? 'coinbase' : 'unknown';
-
   return {
-    isMobile,
-    isInAppBrowser,
-    walletType,
-    hasEthereum: !!(ethereum || trustwallet),
+    isMobile: /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent),
+    isInAppBrowser: !!((ethereum || trustwalletProvider) && (hasMetaMask || hasTrust || hasCoinbase)),
+    walletType: hasTrust ? 'trust' :
+                hasMetaMask ? 'metamask' :
+                hasCoinbase ? 'coinbase' :
+                userAgent.includes('trust') ? 'trust' :
+                userAgent.includes('metamask') ? 'metamask' :
+                userAgent.includes('coinbase') ? 'coinbase' : 'unknown',
+    hasEthereum: !!(ethereum || trustwalletProvider),
     hasMetaMask,
     hasCoinbase,
     hasTrust,
-    hasTrustWallet: !!trustwallet,
-    userAgent
+    hasTrustWallet: !!trustwalletProvider,
+    trustWalletProvider: trustwalletProvider // ⭐ Expose Trust Wallet provider
   };
 };
+
+// Where Trust Wallet injected its provider, without logging (the provider poll runs this every 200ms)
+// Trust Wallet injects: window.trustwallet.ethereum (PREFERRED), window.ethereum.providers, window.ethereum
+const findTrustWalletProvider = () => {
+  // ⭐ METHOD 1 (OFFICIAL RECOMMENDED): Check window.trustwallet.ethereum first
+  // Per Trust Wallet docs: Use window.trustwallet.ethereum directly in Trust Wallet browser
+  if (window.trustwallet?.ethereum && typeof window.trustwallet.ethereum.request === 'function') {
+    return { provider: window.trustwallet.ethereum, location: 'window.trustwallet.ethereum' };
+  }
+
+  // ⭐ METHOD 2: Check window.ethereum.providers array
+  if (window.ethereum?.providers && Array.isArray(window.ethereum.providers)) {
+    const trustProvider = window.ethereum.providers.find(p => p.isTrust || p.isTrustWallet);
+    if (trustProvider && typeof trustProvider.request === 'function') {
+      return { provider: trustProvider, location: 'window.ethereum.providers' };
+    }
+  }
+
+  // ⭐ METHOD 3: Check window.ethereum directly with Trust flags
+  if (window.ethereum && (window.ethereum.isTrust || window.ethereum.isTrustWallet) && typeof window.ethereum.request === 'function') {
+    return { provider: window.ethereum, location: 'window.ethereum' };
+  }
+
+  // ⭐ METHOD 4: Check URL parameter to confirm we're in Trust Wallet
+  // If URL has preferredWallet=trust AND we have window.ethereum, assume it's Trust Wallet
+  // This handles the case where Trust Wallet Android doesn't set isTrust flag but is the DApp browser
+  const preferredWallet = new URLSearchParams(window.location.search).get('preferredWallet');
+  if (preferredWallet === 'trust' && window.ethereum && typeof window.ethereum.request === 'function') {
+    return { provider: window.ethereum, location: 'window.ethereum (preferredWallet=trust)' };
+  }
+
+  return null;
+};
+
+// ⭐ ENHANCED Trust Wallet Provider Detection (Based on Official Trust Wallet Docs)
+// Official docs: https://developer.trustwallet.com/developer/listing-new-dapps/mobile-optimize
+// Logs what was checked to the debug panel
+export const getTrustWalletProvider = () => {
+  // ⭐ CRITICAL DIAGNOSTIC: What Trust Wallet actually injects
+  const windowKeys = Object.keys(window).filter(key =>
+    key.toLowerCase().includes('trust') ||
+    key.toLowerCase().includes('wallet') ||
+    key.toLowerCase().includes('ethereum') ||
+    key.toLowerCase().includes('web3')
+  );
+  logDebug('info', '🔍 Wallet-related window properties found', windowKeys);
+
+  if (window.trustwallet) {
+    logDebug('info', '🔍 window.trustwallet keys', Object.keys(window.trustwallet));
+  }
+
+  if (window.ethereum) {
+    logDebug('info', '🔍 window.ethereum properties', {
+      isTrust: window.ethereum.isTrust,
+      isTrustWallet: window.ethereum.isTrustWallet,
+      isMetaMask: window.ethereum.isMetaMask,
+      isCoinbaseWallet: window.ethereum.isCoinbaseWallet,
+      hasProviders: !!window.ethereum.providers
+    });
+  }
+
+  if (window.ethereum?.providers) {
+    logDebug('info', '🔍 Ethereum providers array',
+      window.ethereum.providers.map((p, i) => ({
+        index: i,
+        isTrust: p.isTrust,
+        isTrustWallet: p.isTrustWallet,
+        isMetaMask: p.isMetaMask
+      }))
+    );
+  }
+
+  const found = findTrustWalletProvider();
+  if (found) {
+    logDebug('success', `✅ Trust Wallet provider found at ${found.location}`, { location: found.location, hasRequest: true });
+    return found.provider;
+  }
+
+  logDebug('error', '❌ Trust Wallet provider NOT FOUND in any location', {
+    checkedLocations: [
+      'window.trustwallet.ethereum (official)',
+      'window.ethereum.providers',
+      'window.ethereum (with flags)',
+      'URL preferredWallet param + window.ethereum'
+    ],
+    hasWindowEthereum: !!window.ethereum,
+    hasWindowTrustWallet: !!window.trustwallet,
+    preferredWallet: new URLSearchParams(window.location.search).get('preferredWallet'),
+    userAgent: navigator.userAgent,
+    isAndroidWebView: navigator.userAgent.toLowerCase().includes('android') && navigator.userAgent.toLowerCase().includes('wv')
+  });
+  return null;
+};
+
+// ⭐ METAMASK: Listen for ethereum#initialized event (Official MetaMask Docs)
+export const listenForMetaMaskInitialized = ({ timeout = 3000 } = {}) => {
+  return new Promise((resolve) => {
+    // Check if already available
+    if (window.ethereum && window.ethereum.isMetaMask) {
+      resolve(window.ethereum);
+      return;
+    }
+
+    const handleInitialization = () => {
+      logDebug('info', '✅ ethereum#initialized event fired');
+      resolve(window.ethereum);
+    };
+
+    window.addEventListener('ethereum#initialized', handleInitialization, { once: true });
+
+    setTimeout(() => {
+      window.removeEventListener('ethereum#initialized', handleInitialization);
+      resolve(window.ethereum || null);
+    }, timeout);
+  });
+};
+
+// ⭐ TRUST WALLET: Listen for trustwallet#initialized event (Manifest V3)
+export const listenForTrustWalletInitialized = ({ timeout = 3000 } = {}) => {
+  return new Promise((resolve) => {
+    // Check if already available using comprehensive detection
+    const existingProvider = getTrustWalletProvider();
+    if (existingProvider) {
+      logDebug('success', '✅ Trust Wallet provider already initialized');
+      resolve(existingProvider);
+      return;
+    }
+
+    let eventFired = false;
+
+    const handleInitialization = (eventName) => {
+      return () => {
+        if (eventFired) return;
+        eventFired = true;
+        logDebug('info', `✅ ${eventName} event fired for Trust Wallet`);
+
+        const trustProvider = getTrustWalletProvider();
+        if (trustProvider) {
+          logDebug('success', '✅ Trust Wallet provider found after initialization event');
+        } else {
+          logDebug('warn', '⚠️ Initialization event fired but provider not found');
+        }
+        resolve(trustProvider);
+      };
+    };
+
+    // Listen for both possible initialization events
+    const trustHandler = handleInitialization('trustwallet#initialized');
+    const ethHandler = handleInitialization('ethereum#initialized');
+
+    window.addEventListener('trustwallet#initialized', trustHandler, { once: true });
+    window.addEventListener('ethereum#initialized', ethHandler, { once: true });
+    logDebug('info', `⏳ Listening for Trust Wallet initialization events (${timeout}ms timeout)`);
+
+    setTimeout(() => {
+      if (!eventFired) {
+        logDebug('warn', `⏱️ Initialization timeout after ${timeout}ms`);
+
+        window.removeEventListener('trustwallet#initialized', trustHandler);
+        window.removeEventListener('ethereum#initialized', ethHandler);
+
+        const trustProvider = getTrustWalletProvider();
+        if (trustProvider) {
+          logDebug('success', '✅ Trust Wallet provider found on timeout');
+        } else {
+          logDebug('error', '❌ Trust Wallet provider not found after timeout');
+        }
+        resolve(trustProvider || null);
+      }
+    }, timeout);
+  });
+};
+
+/**
+ * Wait for the wallet browser to inject its provider, then record the wallet environment
+ * Listens for the wallets' initialization events and polls window.ethereum / window.trustwallet
+ * (up to the flow's providerTimeoutMs: 60s on mobile, Trust Wallet can be slow; 3s on desktop);
+ * moves the payment store to 'loading' or 'providerTimeout'
+ */
+export const useInjectedProvider = () => {
+  useEffect(() => {
+    const { setWalletEnv, setProviderReady, setCurrentStep, setError, flowOptions } = usePaymentStore.getState();
+
+    let pollCount = 0;
+    // ⭐ TRUST WALLET FIX: Mobile waits 60 seconds for slow provider injection (300 polls * 200ms)
+    const maxPolls = Math.ceil(flowOptions.providerTimeoutMs / 200);
+    let pollInterval = null;
+
+    const userAgent = navigator.userAgent.toLowerCase();
+    const isMobileMetaMask = userAgent.includes('metamask');
+    // ⭐ CRITICAL: Trust Wallet Android does NOT include 'trust' in User Agent!
+    // Check URL params for preferred wallet instead
+    const urlParams = new URLSearchParams(window.location.search);
+    const preferredWallet = urlParams.get('preferredWallet');
+    const isMobileTrustWallet = preferredWallet === 'trust' || userAgent.includes('trust');
+    const isMobileCoinbase = userAgent.includes('coinbase');
+
+    logDebug('info', '🔍 Waiting for wallet provider', {
+      userAgent: navigator.userAgent,
+      hasWindowEthereum: !!window.ethereum,
+      hasWindowTrustWallet: !!window.trustwallet,
+      timeoutMs: flowOptions.providerTimeoutMs
+    });
+
+    // Record the wallet environment once, whichever of the events or the poll finds the provider first
+    const markReady = (source) => {
+      if (usePaymentStore.getState().providerReady) return;
+      const env = detectWalletEnvironment();
+      setWalletEnv(env);
+      setProviderReady(true);
+      setCurrentStep('loading');
+      if (pollInterval) clearInterval(pollInterval);
+      logDebug('success', `✅ Wallet provider received from ${source}`, env);
+    };
+
+    // ✅ METAMASK / COINBASE: Listen for ethereum#initialized event (Coinbase uses the same event)
+    if (isMobileMetaMask || isMobileCoinbase) {
+      listenForMetaMaskInitialized({ timeout: 5000 }).then(provider => {
+        if (provider) markReady('ethereum#initialized');
+      });
+    }
+    // ✅ TRUST WALLET SPECIFIC: Listen for trustwallet#initialized event
+    else if (isMobileTrustWallet) {
+      listenForTrustWalletInitialized({ timeout: 5000 }).then(provider => {
+        if (provider) markReady('trustwallet#initialized');
+      });
+    }
+    // ✅ FALLBACK: Listen for both events if wallet not detected in UA
+    else {
+      listenForMetaMaskInitialized({ timeout: 5000 }).then(provider => {
+        if (provider) markReady('ethereum#initialized');
+      });
+      listenForTrustWalletInitialized({ timeout: 5000 }).then(provider => {
+        if (provider) markReady('trustwallet#initialized');
+      });
+    }
+
+    const checkProvider = () => {
+      pollCount++;
+
+      // ✅ Accept Trust Wallet OR any ethereum provider
+      if (findTrustWalletProvider() || window.ethereum) {
+        markReady(`polling after ${(pollCount * 200 / 1000).toFixed(1)}s`);
+        return true;
+      }
+
+      if (pollCount >= maxPolls) {
+        // Timeout - provider not found
+        logDebug('error', `⏱️ Provider detection timeout after ${maxPolls * 200 / 1000}s`, {
+          hasWindowEthereum: !!window.ethereum,
+          hasWindowTrustWallet: !!window.trustwallet
+        });
+        setError(flowOptions.presentation === PRESENTATIONS.DESKTOP
+          ? 'No browser wallet found. Install MetaMask or another wallet extension, then refresh this page.'
+          : 'Unable to detect wallet provider. Please refresh the page or ensure you opened this link in a wallet browser.');
+        setCurrentStep('providerTimeout');
+        return true;
+      }
+
+      return false;
+    };
+
+    // ✅ Check immediately (some wallets inject instantly)
+    if (checkProvider()) {
+      return; // Found immediately
+    }
+
+    // ✅ Start polling
+    pollInterval = setInterval(() => {
+      if (checkProvider()) {
+        clearInterval(pollInterval);
+      }
+    }, 200); // Poll every 200ms
+
+    // Cleanup
+    return () => {
+      if (pollInterval) {
+        clearInterval(pollInterval);
+      }
+    };
+  }, []);
+};
+
+/**
+ * Detect EIP-5792 wallet capabilities (wallet_getCapabilities)
+ * Used to decide whether approve + splitPayment can be sent as one atomic bundle
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { account, chainId }
+ * @returns {Promise<object>} { supportsAtomicBatch, atomicStatus, capabilities }
+ */
+export const detectWalletCapabilities = async (wagmiConfig, { account, chainId }) => {
+  try {
+    const capabilities = await getCapabilities(wagmiConfig, { account, chainId });
+
+    // Newer wallets report `atomic.status`, older EIP-5792 drafts used `atomicBatch.supported`
+    const atomicStatus = capabilities?.atomic?.status ||
+                         (capabilities?.atomicBatch?.supported ? 'supported' : 'unsupported');
+
+    return {
+      supportsAtomicBatch: atomicStatus === 'supported' || atomicStatus === 'ready',
+      atomicStatus,
+      capabilities
+    };
+  } catch (error) {
+    // Wallets without EIP-5792 reject wallet_getCapabilities (method not found)
+    return {
+      supportsAtomicBatch: false,
+      atomicStatus: 'unsupported',
+      error: error.message
+    };
+  }
+};
@@ -1,5 +1,99 @@
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
+import { PAYMENT_FLOW, createPaymentMachine } from '../utils/paymentStateMachine';
+import { getPageFlowOptions } from '../utils/flowOptionsUtils';
+import {
+  NOTIFICATION_STATUS,
+  getNotificationKey,
+  getNotificationRetryDelay,
+  pruneNotificationOutbox
+} from '../utils/notificationOutboxUtils';
+
+// Serialize log data safely: BigInt to string, functions and circular references replaced by markers
+const serializeSafeData = (obj, seen = new WeakSet()) => {
+  if (obj === null || obj === undefined) return obj;
+  if (typeof obj === 'bigint') return obj.toString();
+  if (typeof obj === 'function') return '[Function]';
+  if (typeof obj === 'symbol') return obj.toString();
+  if (typeof obj !== 'object') return obj;
+
+  if (seen.has(obj)) return '[Circular Reference]';
+  seen.add(obj);
+
+  if (Array.isArray(obj)) return obj.map(item => serializeSafeData(item, seen));
+
+  const safe = {};
+  try {
+    for (const key in obj) {
+      if (Object.prototype.hasOwnProperty.call(obj, key)) {
+        safe[key] = serializeSafeData(obj[key], seen);
+      }
+    }
+  } catch (error) {
+    return '[Object - Serialization Error]';
+  }
+  return safe;
+};
+
+// Accept either a value or an updater of the current value (like React's setState)
+const resolveUpdate = (value, current) => (typeof value === 'function' ? value(current) : value);
+
+// In-flight payments older than this are not resumed (and no longer persisted)
+const IN_FLIGHT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Drop in-flight payments too old to resume
+const pruneInFlightPayments = (inFlightPayments, now = Date.now()) => Object.fromEntries(
+  Object.entries(inFlightPayments).filter(([, record]) => now - record.updatedAt < IN_FLIGHT_TTL_MS)
+);
+
+// State of one payment attempt (reset between payments)
+const initialFlowState = {
+  currentStep: 'waitingForProvider', // waitingForProvider, providerTimeout, loading, connection, confirmation, processing,
+                                     // awaitingVerification, amountMismatch, success, expired, error
+  paymentData: null,
+  transactionHash: null,
+  approvalHash: null,
+  processing: false,
+  error: null,
+  errorDetails: [], // coded validation errors shown on the error step
+  transactionStep: 'idle', // approve, permit, batch, splitPayment, confirming, processing
+  confirmations: { current: 0, required: 0 },
+  switchingNetwork: false,
+  networkSwitchError: '', // shown next to the network options when paying on another chain fails
+  installmentAmount: '', // part of the remaining balance to pay now ('' = all of it)
+  amountMismatch: null, // on-chain amount differing from the invoice (QR/deep link payments)
+  refundAddress: '',
+  mismatchResolution: { loading: false, error: '', notice: '' }, // notice: outcome reported, nothing left to choose
+  linkRenewal: { loading: false, error: '' }, // fresh link request on the expired step
+  verifying: false, // manual payment verification
+  statusUpdateMode: null, // 'stream' or 'polling' while awaiting the backend's confirmation
+  transitionLog: [] // step changes of this payment, refused ones included
+};
+
+// The payment reached the chain or the backend; nothing is left to resume after a reload
+const clearCurrentInFlightPayment = () => {
+  const { paymentData, clearInFlightPayment } = usePaymentStore.getState();
+  if (paymentData?.paymentId) clearInFlightPayment(paymentData.paymentId);
+};
+
+// Every step change goes through the machine; refused changes leave the step as it is
+const flowMachine = createPaymentMachine(PAYMENT_FLOW, {
+  onEnter: {
+    confirmation: () => usePaymentStore.setState({ transactionStep: 'idle' }),
+    error: () => usePaymentStore.setState({ processing: false }),
+    success: clearCurrentInFlightPayment,
+    amountMismatch: clearCurrentInFlightPayment
+  },
+  onRejected: (entry) => logDebug('warning', `🚦 Step change refused: ${entry.from} → ${entry.to} (${entry.rejected})`, entry)
+});
+
+// Move to a step, applying the other changes only when the move is allowed
+const transitionTo = (step, context = {}, changes = {}) => {
+  const { paymentData, transactionHash, amountMismatch } = usePaymentStore.getState();
+  const moved = flowMachine.transition(step, { paymentData, transactionHash, amountMismatch, ...context });
+  usePaymentStore.setState({ ...(moved ? changes : {}), currentStep: flowMachine.state, transitionLog: flowMachine.log });
+  return moved;
+};
 
 // Centralized payment store using Zustand for state management
 const usePaymentStore = create(
@@ -7,12 +101,19 @@ const usePaymentStore = create(
     persist(
       (set, get) => ({
         // ==================== PAYMENT STATE ====================
-        currentStep: 'idle', // idle, connection, approval, payment, verification, success, error
-        paymentData: null,
-        transactionHash: null,
-        approvalHash: null,
-        processing: false,
-        error: null,
+        ...initialFlowState,
+
+        // Presentation and auto-approval for this page (see flowOptionsUtils)
+        flowOptions: getPageFlowOptions(),
+
+        // Payments sent to the wallet but not yet settled, by paymentId, so a reload can resume them:
+        // { paymentId, chainId, account, step: 'approval' | 'splitPayment', approvalHash, splitHash, updatedAt }
+        inFlightPayments: {},
+
+        // Backend payment notifications by paymentId and transaction hash (see notificationOutboxUtils):
+        // { key, paymentId, transactionHash, networkName, senderAddress, isNative, status, attempts,
+        //   nextAttemptAt, lastError, createdAt }
+        notificationOutbox: {},
 
         // ==================== PROVIDER STATE ====================
         detectedProviders: [], // EIP-6963 providers
@@ -30,12 +131,127 @@ const usePaymentStore = create(
         // ==================== ACTIONS ====================
 
         // Payment Data Actions
-        setPaymentData: (data) => set({ paymentData: data }),
-        setCurrentStep: (step) => set({ currentStep: step }),
+        setPaymentData: (data) => set((state) => ({ paymentData: resolveUpdate(data, state.paymentData) })),
+        // context: extra guard input, e.g. { confirmed: true } when the backend settled a payment without a hash
+        setCurrentStep: (step, context) => transitionTo(step, context),
+        // Step change that also applies other state changes, only when the change is allowed
+        transitionTo: (step, context, changes) => transitionTo(step, context, changes),
         setProcessing: (processing) => set({ processing }),
-        setError: (error) => set({ error, currentStep: error ? 'error' : get().currentStep }),
+        setError: (error) => set({ error }),
+        setErrorDetails: (errorDetails) => set({ errorDetails }),
+        // Show the error step with a message and optional coded validation errors
+        showError: (error, errorDetails = []) => transitionTo('error', {}, { error, errorDetails }),
         setTransactionHash: (hash) => set({ transactionHash: hash }),
         setApprovalHash: (hash) => set({ approvalHash: hash }),
+        setTransactionStep: (transactionStep) => set({ transactionStep }),
+        setConfirmations: (confirmations) => set({ confirmations }),
+        setSwitchingNetwork: (switchingNetwork) => set({ switchingNetwork }),
+        setNetworkSwitchError: (networkSwitchError) => set({ networkSwitchError }),
+        setInstallmentAmount: (installmentAmount) => set({ installmentAmount }),
+        setAmountMismatch: (amountMismatch) => set({ amountMismatch }),
+        setRefundAddress: (refundAddress) => set({ refundAddress }),
+        setMismatchResolution: (mismatchResolution) => set({ mismatchResolution }),
+        setLinkRenewal: (linkRenewal) => set({ linkRenewal }),
+        setVerifying: (verifying) => set({ verifying }),
+        setStatusUpdateMode: (statusUpdateMode) => set({ statusUpdateMode }),
+
+        // Leave the error step and go back to confirmation, or wait for the backend's confirmation of a payment
+        // already sent, so the retry can't send it a second time. Errors before the payment loaded have no
+        // confirmation to return to; the page reloads to initialize again
+        retryFromError: () => {
+          const { paymentData, getInFlightPayment } = get();
+          if (!paymentData) {
+            window.location.reload();
+            return false;
+          }
+          const sent = getInFlightPayment(paymentData.paymentId)?.splitHash;
+          return transitionTo(sent ? 'awaitingVerification' : 'confirmation', {}, { error: null, errorDetails: [] });
+        },
+
+        // Start another installment against the same payment
+        startNextInstallment: () => transitionTo('confirmation', {}, { transactionHash: null, installmentAmount: '' }),
+
+        // Record what has been sent to the wallet for a payment (merged into its in-flight record)
+        saveInFlightPayment: (paymentId, changes) => set((state) => ({
+          inFlightPayments: {
+            ...state.inFlightPayments,
+            [paymentId]: { ...state.inFlightPayments[paymentId], ...changes, paymentId, updatedAt: Date.now() }
+          }
+        })),
+
+        clearInFlightPayment: (paymentId) => set((state) => ({
+          inFlightPayments: Object.fromEntries(Object.entries(state.inFlightPayments).filter(([id]) => id !== paymentId))
+        })),
+
+        // In-flight record of a payment, unless it is too old to resume
+        getInFlightPayment: (paymentId) => pruneInFlightPayments(get().inFlightPayments)[paymentId] || null,
+
+        // Queue a payment notification unless the same transaction is already queued or acknowledged
+        queueNotification: (notification) => {
+          const key = getNotificationKey(notification.paymentId, notification.transactionHash);
+          if (get().notificationOutbox[key]) return key;
+
+          const now = Date.now();
+          set((state) => ({
+            notificationOutbox: {
+              ...state.notificationOutbox,
+              [key]: {
+                ...notification,
+                key,
+                status: NOTIFICATION_STATUS.PENDING,
+                attempts: 0,
+                nextAttemptAt: now,
+                lastError: '',
+                createdAt: now
+              }
+            }
+          }));
+          return key;
+        },
+
+        acknowledgeNotification: (key) => set((state) => ({
+          notificationOutbox: {
+            ...state.notificationOutbox,
+            [key]: { ...state.notificationOutbox[key], status: NOTIFICATION_STATUS.ACKNOWLEDGED, lastError: '' }
+          }
+        })),
+
+        // Count a failed attempt and schedule the next one with backoff
+        rescheduleNotification: (key, lastError) => set((state) => {
+          const attempts = state.notificationOutbox[key].attempts + 1;
+          return {
+            notificationOutbox: {
+              ...state.notificationOutbox,
+              [key]: {
+                ...state.notificationOutbox[key],
+                attempts,
+                lastError,
+                nextAttemptAt: Date.now() + getNotificationRetryDelay(attempts)
+              }
+            }
+          };
+        }),
+
+        // Stop retrying a notification the backend refused or that ran out of attempts
+        failNotification: (key, lastError) => set((state) => ({
+          notificationOutbox: {
+            ...state.notificationOutbox,
+            [key]: {
+              ...state.notificationOutbox[key],
+              status: NOTIFICATION_STATUS.FAILED,
+              attempts: state.notificationOutbox[key].attempts + 1,
+              lastError
+            }
+          }
+        })),
+
+        // Make every pending notification due now (e.g. when the browser comes back online)
+        retryNotificationsNow: () => set((state) => ({
+          notificationOutbox: Object.fromEntries(Object.entries(state.notificationOutbox).map(([key, entry]) => [
+            key,
+            entry.status === NOTIFICATION_STATUS.PENDING ? { ...entry, nextAttemptAt: Date.now() } : entry
+          ]))
+        })),
 
         // Provider Actions
         setDetectedProviders: (providers) => set({ detectedProviders: providers }),
@@ -50,21 +266,6 @@ const usePaymentStore = create(
         addDebugLog: (type, message, data = null) => {
           const timestamp = new Date().toLocaleTimeString();
 
-          // ✅ Serialize BigInt to prevent JSON errors
-          const serializeSafeData = (obj) => {
-            if (obj === null || obj === undefined) return obj;
-            if (typeof obj === 'bigint') return obj.toString();
-            if (Array.isArray(obj)) return obj.map(serializeSafeData);
-            if (typeof obj === 'object') {
-              const safe = {};
-              for (const key in obj) {
-                safe[key] = serializeSafeData(obj[key]);
-              }
-              return safe;
-            }
-            return obj;
-          };
-
           const logEntry = {
             id: Date.now() + Math.random(),
             type,
@@ -143,29 +344,29 @@ ${'='.repeat(80)}
         },
 
         // Reset entire store
-        reset: () => set({
-          currentStep: 'idle',
-          paymentData: null,
-          transactionHash: null,
-          approvalHash: null,
-          processing: false,
-          error: null,
-          detectedProviders: [],
-          selectedProvider: null,
-          walletEnv: null,
-          providerReady: false,
-          isConnected: false,
-          connectionAttempts: 0,
-          debugLogs: [],
-          copySuccess: false
-        })
+        reset: () => {
+          flowMachine.reset();
+          set({
+            ...initialFlowState,
+            detectedProviders: [],
+            selectedProvider: null,
+            walletEnv: null,
+            providerReady: false,
+            isConnected: false,
+            connectionAttempts: 0,
+            debugLogs: [],
+            copySuccess: false
+          });
+        }
       }),
       {
         name: 'coinley-payment-store', // localStorage key
         partialize: (state) => ({
           // Only persist these fields
           debugLogs: state.debugLogs.slice(-50), // Keep last 50 logs in localStorage
-          showDebugPanel: state.showDebugPanel
+          showDebugPanel: state.showDebugPanel,
+          inFlightPayments: pruneInFlightPayments(state.inFlightPayments),
+          notificationOutbox: pruneNotificationOutbox(state.notificationOutbox)
         })
       }
     ),
@@ -175,4 +376,9 @@ ${'='.repeat(80)}
   )
 );
 
+/**
+ * Add a debug log entry from outside React (helpers, API client logging)
+ */
+export const logDebug = (type, message, data = null) => usePaymentStore.getState().addDebugLog(type, message, data);
+
 export default usePaymentStore;
@@ -0,0 +1,75 @@
+import { parseUnits, formatUnits } from 'viem';
+
+/**
+ * Amount Mismatch Utilities
+ *
+ * Payers who send from a wallet app (QR / deep link) can transfer a different
+ * amount than the invoice asks for. The backend's on-chain verification reports
+ * what it found in `onChainData` (`amountInWei` in base units, or `amount` as a
+ * decimal string); these helpers work out the shortfall or excess and name the
+ * outcomes reported back to the backend once the payer has resolved it.
+ */
+
+export const MISMATCH_TYPES = {
+  UNDERPAID: 'underpaid',
+  OVERPAID: 'overpaid'
+};
+
+// Resolution outcomes reported to the backend
+export const MISMATCH_OUTCOMES = {
+  TOPPED_UP: 'topped_up',
+  TOP_UP_FAILED: 'top_up_failed',
+  UNDERPAYMENT_ACCEPTED: 'underpayment_accepted',
+  REFUND_REQUESTED: 'refund_requested',
+  REFUND_DECLINED: 'refund_declined'
+};
+
+/**
+ * Read the amount paid on chain from the backend's verification data
+ *
+ * @param {object} onChainData - verifyQRPayment onChainData
+ * @param {number} decimals - Token decimals
+ * @returns {bigint|null} Paid amount in base units, or null when the backend didn't report one
+ */
+export const getPaidAmountInUnits = (onChainData, decimals) => {
+  if (!onChainData) return null;
+  try {
+    if (onChainData.amountInWei !== undefined && onChainData.amountInWei !== null && onChainData.amountInWei !== '') {
+      return BigInt(onChainData.amountInWei);
+    }
+    if (onChainData.amount !== undefined && onChainData.amount !== null && onChainData.amount !== '') {
+      return parseUnits(String(onChainData.amount), decimals);
+    }
+  } catch (error) {
+    return null;
+  }
+  return null;
+};
+
+/**
+ * Compare the amount paid on chain with the amount invoiced
+ *
+ * @param {object} params - { expectedUnits: bigint, paidUnits: bigint, decimals: number }
+ * @returns {object|null} { type, expected, paid, difference, differenceUnits }, or null when the amounts match
+ */
+export const detectAmountMismatch = ({ expectedUnits, paidUnits, decimals }) => {
+  if (paidUnits === null || paidUnits === undefined || paidUnits === expectedUnits) return null;
+
+  const underpaid = paidUnits < expectedUnits;
+  const differenceUnits = underpaid ? expectedUnits - paidUnits : paidUnits - expectedUnits;
+
+  return {
+    type: underpaid ? MISMATCH_TYPES.UNDERPAID : MISMATCH_TYPES.OVERPAID,
+    expected: formatUnits(expectedUnits, decimals),
+    paid: formatUnits(paidUnits, decimals),
+    difference: formatUnits(differenceUnits, decimals),
+    differenceUnits
+  };
+};
+
+export default {
+  MISMATCH_TYPES,
+  MISMATCH_OUTCOMES,
+  getPaidAmountInUnits,
+  detectAmountMismatch
+};
@@ -0,0 +1,280 @@
+/**
+ * Coinley API Client
+ *
+ * The one client for the backend, shared by both payment flows, the query
+ * hooks and the query client's prefetching. Configuration comes from the
+ * VITE_COINLEY_* environment variables; every request has a timeout, sends
+ * the API credentials the same way and fails with an error whose `type`
+ * tells callers what went wrong (see API_ERROR_TYPES). Responses are
+ * unwrapped from the backend's { success, ... } envelope.
+ */
+
+const DEFAULT_API_URL = 'https://talented-mercy-production.up.railway.app';
+
+// Milliseconds before a request is aborted
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+// Shorter timeout for calls the payer is actively waiting on
+const INTERACTIVE_TIMEOUT_MS = 15000;
+
+export const API_ERROR_TYPES = {
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  AUTH: 'auth',
+  NOT_FOUND: 'not_found',
+  HTTP: 'http',
+  INVALID_RESPONSE: 'invalid_response',
+  REJECTED: 'rejected'
+};
+
+// Vite inlines import.meta.env at build time; plain node (test scripts) has none
+const env = import.meta.env || {};
+
+/**
+ * API configuration from the environment
+ *
+ * @returns {object} { apiUrl, apiKey, apiSecret }
+ */
+export const getApiConfig = () => ({
+  apiUrl: env.VITE_COINLEY_API_URL || DEFAULT_API_URL,
+  apiKey: env.VITE_COINLEY_API_KEY || '',
+  apiSecret: env.VITE_COINLEY_API_SECRET || ''
+});
+
+// Create an error carrying the failure type, plus the HTTP status and endpoint when known
+const createApiError = (message, props) => Object.assign(new Error(message), props);
+
+const getHttpErrorType = (status) => {
+  if (status === 401 || status === 403) return API_ERROR_TYPES.AUTH;
+  if (status === 404) return API_ERROR_TYPES.NOT_FOUND;
+  return API_ERROR_TYPES.HTTP;
+};
+
+/**
+ * Normalize a payment status response or status stream event
+ *
+ * @param {object} result - Parsed body; the record is under `payment`, or at the top level for older backends
+ * @returns {object} The body plus { payment, status, transactionHash }
+ */
+export const normalizePaymentStatus = (result) => {
+  const payment = result?.payment || result || {};
+  return { ...result, payment, status: payment.status, transactionHash: payment.transactionHash };
+};
+
+/**
+ * Create an API client
+ *
+ * @param {object} options - { apiUrl, apiKey, apiSecret } overriding the environment, and
+ *   onLog(type, message, data) for debug logging
+ * @returns {object} API client
+ */
+export const createApiClient = (options = {}) => {
+  const defaults = getApiConfig();
+  const apiUrl = options.apiUrl || defaults.apiUrl;
+  const apiKey = options.apiKey || defaults.apiKey;
+  const apiSecret = options.apiSecret || defaults.apiSecret;
+  const log = options.onLog || (() => {});
+
+  /**
+   * Send a request and parse the JSON response
+   *
+   * @param {string} path - Path below the API URL
+   * @param {object} params - { method, body, auth: send API credentials, timeoutMs }
+   * @returns {Promise<object>} Parsed response body
+   */
+  const request = async (path, { method = 'GET', body, auth = false, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+    const endpoint = `${apiUrl}${path}`;
+    const headers = { 'Content-Type': 'application/json' };
+
+    // Lowercase header names, as the backend expects
+    if (auth && apiKey && apiSecret) {
+      headers['x-api-key'] = apiKey;
+      headers['x-api-secret'] = apiSecret;
+    }
+
+    log('debug', '📡 Making API request', { endpoint, method, hasAuth: !!headers['x-api-key'] });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        mode: 'cors',
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw createApiError(`Request timeout: Backend took too long to respond (>${timeoutMs / 1000}s)`, {
+          type: API_ERROR_TYPES.TIMEOUT,
+          endpoint
+        });
+      }
+      throw createApiError(`Network error: Unable to reach backend at ${apiUrl}. Check CORS settings.`, {
+        type: API_ERROR_TYPES.NETWORK,
+        endpoint,
+        cause: error
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      log('error', '❌ HTTP Error Response', { status: response.status, statusText: response.statusText, body: errorText.substring(0, 200) });
+      throw createApiError(`HTTP ${response.status}: ${response.statusText}${errorText ? ` - ${errorText}` : ''}`, {
+        type: getHttpErrorType(response.status),
+        status: response.status,
+        body: errorText,
+        endpoint
+      });
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw createApiError('Backend returned an invalid response', { type: API_ERROR_TYPES.INVALID_RESPONSE, status: response.status, endpoint });
+    }
+  };
+
+  // Take a field out of the { success, [field] } envelope, failing when the backend declined the request
+  const unwrap = (result, field, fallbackMessage) => {
+    if (!result?.success || result[field] === undefined || result[field] === null) {
+      throw createApiError(result?.message || fallbackMessage, { type: API_ERROR_TYPES.REJECTED });
+    }
+    return result[field];
+  };
+
+  return {
+    apiUrl,
+    hasCredentials: !!(apiKey && apiSecret),
+
+    async getContractInfo(chainId) {
+      log('info', '🔗 Fetching contract ABI from backend', { chainId, apiUrl, hasApiKey: !!apiKey, hasApiSecret: !!apiSecret });
+      const result = await request(`/api/payments/contract/${chainId}`, { auth: true });
+      const contractInfo = unwrap(result, 'contractInfo', 'Contract not supported on this network');
+      log('success', '✅ Contract ABI fetched successfully', {
+        contractAddress: contractInfo.address,
+        abiLength: contractInfo.abi?.length || 0
+      });
+      return contractInfo;
+    },
+
+    // Public endpoint - no authentication required
+    async getPaymentDetails(paymentId) {
+      const result = await request(`/api/payments/public/${paymentId}`);
+      return unwrap(result, 'payment', 'Payment not found');
+    },
+
+    // The same payment settled on another network (splitter, token and split ID differ per chain)
+    async getPaymentVariant(paymentId, chainId) {
+      const result = await request(`/api/payments/public/${paymentId}/variant`, { method: 'POST', body: { chainId } });
+      return unwrap(result, 'payment', 'Payment is not available on this network');
+    },
+
+    // Each transfer of a partially paid invoice settles under its own splitter payment ID
+    async createInstallment(paymentId, amount) {
+      const result = await request(`/api/payments/public/${paymentId}/installments`, {
+        method: 'POST',
+        body: { amount },
+        timeoutMs: INTERACTIVE_TIMEOUT_MS
+      });
+      return unwrap(result, 'installment', 'This installment was not accepted');
+    },
+
+    // Underpaid invoices are completed by a second transfer for the shortfall
+    async createTopUp(paymentId, amount) {
+      const result = await request(`/api/payments/public/${paymentId}/top-up`, {
+        method: 'POST',
+        body: { amount },
+        timeoutMs: INTERACTIVE_TIMEOUT_MS
+      });
+      return unwrap(result, 'topUp', 'This top-up was not accepted');
+    },
+
+    // How the payer resolved an underpayment or overpayment (top-up, refund address, or accepted as is)
+    async reportAmountResolution(paymentId, resolution) {
+      return request(`/api/payments/public/${paymentId}/amount-resolution`, {
+        method: 'POST',
+        body: resolution,
+        timeoutMs: INTERACTIVE_TIMEOUT_MS
+      });
+    },
+
+    // Reissue an expired payment; the backend answers with a new payment link
+    async requestFreshPaymentLink(paymentId) {
+      const result = await request(`/api/payments/public/${paymentId}/renew`, {
+        method: 'POST',
+        timeoutMs: INTERACTIVE_TIMEOUT_MS
+      });
+      return unwrap(result, 'paymentUrl', 'This payment can no longer be renewed');
+    },
+
+    // HMAC link signatures can only be checked by the backend that holds the key
+    async verifyLinkSignature(payload, signature) {
+      const result = await request('/api/payments/links/verify', {
+        method: 'POST',
+        body: { payload, signature },
+        timeoutMs: INTERACTIVE_TIMEOUT_MS
+      });
+      return result.success === true && result.valid === true;
+    },
+
+    // Report a sent payment transaction so the backend can verify and settle it
+    async notifyBackend(paymentId, transactionHash, networkName, senderAddress, { isNative = false, source = 'mobile_payment_screen' } = {}) {
+      if (!paymentId) {
+        log('warning', '⚠️ No payment ID provided for backend notification');
+        return undefined;
+      }
+
+      const result = await request('/api/payments/process', {
+        method: 'POST',
+        auth: true,
+        body: {
+          paymentId,
+          transactionHash,
+          network: networkName,
+          senderAddress,
+          paymentType: isNative ? 'native' : 'erc20',
+          source
+        }
+      });
+      // A 200 can still carry { success: false }; only an accepted notification counts as delivered
+      if (!result?.success) {
+        throw createApiError(result?.message || 'Backend did not accept the payment notification', { type: API_ERROR_TYPES.REJECTED });
+      }
+      log('success', '✅ Backend notified successfully', result);
+      return result;
+    },
+
+    async checkPaymentStatus(paymentId) {
+      const result = await request(`/api/payments/status/${paymentId}`, { auth: true });
+      return normalizePaymentStatus(result);
+    },
+
+    async verifyQRPayment(paymentId) {
+      return request('/api/payments/verify-qr', { method: 'POST', auth: true, body: { paymentId } });
+    },
+
+    // Server-Sent Events URL for status updates of a payment. EventSource can't send headers and URLs end up
+    // in logs and history, so this is the payment's public stream and carries no credentials
+    getStatusStreamUrl(paymentId) {
+      return `${apiUrl}/api/payments/public/${encodeURIComponent(paymentId)}/stream`;
+    }
+  };
+};
+
+// Client configured from the environment, for callers without their own logging or credentials
+export const apiClient = createApiClient();
+
+export default {
+  API_ERROR_TYPES,
+  DEFAULT_TIMEOUT_MS,
+  getApiConfig,
+  normalizePaymentStatus,
+  createApiClient,
+  apiClient
+};
@@ -0,0 +1,88 @@
+import { getBalance, readContract } from '@wagmi/core';
+import { erc20Abi, formatUnits, parseUnits } from 'viem';
+import { getNetworkNameByChainId } from '../wagmiConfig';
+import { getTokenOnChain } from './tokenUtils';
+
+/**
+ * Multi-Chain Balance Scan
+ *
+ * Looks up the payer's balance of the requested token on every chain in the
+ * wagmi config, so they can pay on a network where they actually hold funds.
+ */
+
+// Balance lookups are skipped on chains that do not answer in time
+const BALANCE_SCAN_TIMEOUT = 10000;
+
+const withTimeout = (promise, timeoutMs) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`Balance lookup timed out after ${timeoutMs}ms`)), timeoutMs))
+]);
+
+/**
+ * Read the payer's balance of a token on one chain
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { account, chainId, token: { address, decimals, isNative } }
+ * @returns {Promise<bigint>} Balance in base units
+ */
+export const getTokenBalanceOnChain = async (wagmiConfig, { account, chainId, token }) => {
+  if (token.isNative) {
+    const { value } = await getBalance(wagmiConfig, { address: account, chainId });
+    return value;
+  }
+
+  return readContract(wagmiConfig, {
+    address: token.address,
+    abi: erc20Abi,
+    functionName: 'balanceOf',
+    args: [account],
+    chainId
+  });
+};
+
+/**
+ * Scan every configured chain for the payer's balance of the requested token
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { account, symbol, amount (human readable) }
+ * @returns {Promise<Array>} One entry per chain where the token exists:
+ *   { chainId, chainName, network, tokenAddress, decimals, isNative, balance, formattedBalance, canPay, error }
+ */
+export const scanPaymentBalances = async (wagmiConfig, { account, symbol, amount }) => {
+  const candidates = wagmiConfig.chains
+    .map(chain => ({ chain, token: getTokenOnChain(symbol, chain.id) }))
+    .filter(({ token }) => token !== null);
+
+  const results = await Promise.allSettled(candidates.map(({ chain, token }) =>
+    withTimeout(getTokenBalanceOnChain(wagmiConfig, { account, chainId: chain.id, token }), BALANCE_SCAN_TIMEOUT)
+  ));
+
+  return candidates.map(({ chain, token }, index) => {
+    const result = results[index];
+    const base = {
+      chainId: chain.id,
+      chainName: chain.name,
+      network: getNetworkNameByChainId(chain.id) || chain.name,
+      tokenAddress: token.address,
+      decimals: token.decimals,
+      isNative: token.isNative
+    };
+
+    if (result.status === 'rejected') {
+      return { ...base, balance: null, formattedBalance: null, canPay: false, error: result.reason?.message };
+    }
+
+    const balance = result.value;
+    return {
+      ...base,
+      balance,
+      formattedBalance: formatUnits(balance, token.decimals),
+      canPay: balance >= parseUnits(String(amount), token.decimals)
+    };
+  });
+};
+
+export default {
+  getTokenBalanceOnChain,
+  scanPaymentBalances
+};
@@ -0,0 +1,64 @@
+import { getCallsStatus } from '@wagmi/core';
+import { erc20Abi } from 'viem';
+
+/**
+ * EIP-5792 Call Batching Utilities (wallet_sendCalls / wallet_getCallsStatus)
+ *
+ * @see https://eips.ethereum.org/EIPS/eip-5792
+ */
+
+/**
+ * Build the approve + splitPayment call bundle
+ *
+ * @param {object} params - { tokenAddress, splitterAddress, splitterAbi, amount, paymentDetails }
+ * @returns {Array} Calls for sendCalls
+ */
+export const buildApproveAndSplitCalls = ({ tokenAddress, splitterAddress, splitterAbi, amount, paymentDetails }) => [
+  {
+    to: tokenAddress,
+    abi: erc20Abi,
+    functionName: 'approve',
+    args: [splitterAddress, amount]
+  },
+  {
+    to: splitterAddress,
+    abi: splitterAbi,
+    functionName: 'splitPayment',
+    args: [paymentDetails]
+  }
+];
+
+/**
+ * Poll wallet_getCallsStatus until the bundle settles
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {string} id - Bundle id returned by sendCalls
+ * @param {object} options - { onStatus, interval (ms), timeout (ms) }
+ * @returns {Promise<object>} Final status { status, receipts, statusCode }
+ */
+export const pollCallsStatus = async (wagmiConfig, id, { onStatus, interval = 2000, timeout = 5 * 60 * 1000 } = {}) => {
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < timeout) {
+    try {
+      const result = await getCallsStatus(wagmiConfig, { id });
+      onStatus?.(result);
+
+      if (result.status && result.status !== 'pending') {
+        return result;
+      }
+    } catch (error) {
+      // Some wallets report the bundle as unknown for a moment after submission
+      onStatus?.({ status: 'pending', error: error.message });
+    }
+
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+
+  throw new Error(`Call bundle ${id} did not settle within ${timeout / 1000}s`);
+};
+
+export default {
+  buildApproveAndSplitCalls,
+  pollCallsStatus
+};
@@ -0,0 +1,155 @@
+import { isAddress, getAddress, formatUnits, keccak256, toHex } from 'viem';
+import { getNetworkNameByChainId } from '../wagmiConfig';
+import { getNativeCurrency, KNOWN_TOKENS } from './tokenUtils';
+
+/**
+ * EIP-681 Payment Request URIs
+ *
+ * Parses `ethereum:<token>@<chainId>/transfer?address=<to>&uint256=<amount>` (ERC-20)
+ * and `ethereum:<to>@<chainId>?value=<wei>` (native coin) into the paymentData
+ * shape used by the payment flows. The whole amount goes to the URI's recipient.
+ *
+ * @see https://eips.ethereum.org/EIPS/eip-681
+ */
+
+// Payment IDs made up for requests the backend has no record of
+const EIP681_PAYMENT_ID_PREFIX = 'eip681-';
+
+const EIP681_PATTERN = /^ethereum:(?:pay-)?([^@/?]+)(?:@(\d+))?(?:\/([A-Za-z_][\w]*))?(?:\?(.*))?$/;
+
+// EIP-681 numbers may use scientific notation (e.g. 2.014e18)
+const NUMBER_PATTERN = /^(\d+)(?:\.(\d+))?(?:[eE](\d+))?$/;
+
+/**
+ * Check whether a string looks like an EIP-681 URI
+ *
+ * @param {string} value - Candidate URI
+ * @returns {boolean}
+ */
+export const isEip681Uri = (value) => typeof value === 'string' && EIP681_PATTERN.test(value.trim());
+
+/**
+ * Check whether a payment ID was made up for an EIP-681 request rather than issued by the backend
+ *
+ * @param {string} paymentId - Payment ID
+ * @returns {boolean}
+ */
+export const isEip681PaymentId = (paymentId) => typeof paymentId === 'string' && paymentId.startsWith(EIP681_PAYMENT_ID_PREFIX);
+
+/**
+ * Parse an EIP-681 number (integer, decimal or scientific notation) into an exact integer
+ *
+ * @param {string} value - Number from the URI
+ * @returns {bigint}
+ */
+export const parseEip681Number = (value) => {
+  const match = NUMBER_PATTERN.exec(value || '');
+  if (!match) {
+    throw new Error(`Invalid amount in payment request: ${value}`);
+  }
+
+  const [, integerPart, fractionPart = '', exponentPart = '0'] = match;
+  const exponent = parseInt(exponentPart);
+  if (fractionPart.replace(/0+$/, '').length > exponent) {
+    throw new Error(`Amount in payment request is not a whole number of base units: ${value}`);
+  }
+
+  return BigInt(integerPart + fractionPart.padEnd(exponent, '0'));
+};
+
+// Look up symbol and decimals of a known token address on a chain
+const findKnownToken = (tokenAddress, chainId) => {
+  for (const [symbol, deployments] of Object.entries(KNOWN_TOKENS)) {
+    const token = deployments[chainId];
+    if (token && token.address.toLowerCase() === tokenAddress.toLowerCase()) {
+      return { symbol, decimals: token.decimals };
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse an EIP-681 URI into paymentData fields
+ * Unknown tokens come back without symbol/decimals (the flow reads them on-chain)
+ *
+ * @param {string} uri - EIP-681 URI
+ * @returns {object} Partial paymentData
+ */
+export const parseEip681Uri = (uri) => {
+  const match = EIP681_PATTERN.exec((uri || '').trim());
+  if (!match) {
+    throw new Error('Not an EIP-681 payment request (expected ethereum:...)');
+  }
+
+  const [, target, chainIdPart, functionName, query = ''] = match;
+  if (!isAddress(target)) {
+    throw new Error('Payment requests must use a 0x address (ENS names are not supported)');
+  }
+
+  const chainId = parseInt(chainIdPart || '1');
+  const params = new URLSearchParams(query);
+  const nativeCurrency = getNativeCurrency(chainId);
+  if (!nativeCurrency) {
+    throw new Error(`Unsupported network in payment request: chain ${chainId}`);
+  }
+
+  let recipient;
+  let amountInWei;
+  let tokenContract = '';
+  let isNative;
+
+  if (functionName === 'transfer') {
+    recipient = params.get('address');
+    if (!recipient || !isAddress(recipient)) {
+      throw new Error('Token payment request is missing a valid recipient address');
+    }
+    amountInWei = parseEip681Number(params.get('uint256'));
+    tokenContract = getAddress(target);
+    isNative = false;
+  } else if (!functionName) {
+    recipient = target;
+    amountInWei = parseEip681Number(params.get('value'));
+    isNative = true;
+  } else {
+    throw new Error(`Unsupported payment request function: ${functionName}`);
+  }
+
+  if (amountInWei <= 0n) {
+    throw new Error('Payment request amount must be greater than zero');
+  }
+
+  const token = isNative
+    ? { symbol: nativeCurrency.symbol, decimals: nativeCurrency.decimals }
+    : findKnownToken(tokenContract, chainId);
+
+  recipient = getAddress(recipient);
+
+  return {
+    source: 'eip681',
+    // Deterministic ID so reloading the same request reuses it. Never read from the URI: a paymentId there
+    // would pass the request off as a payment on record without the backend's details
+    paymentId: `${EIP681_PAYMENT_ID_PREFIX}${keccak256(toHex(uri.trim())).slice(2, 18)}`,
+    chainId: String(chainId),
+    network: getNetworkNameByChainId(chainId) || String(chainId),
+    tokenContract,
+    token: token?.symbol || '',
+    tokenDecimals: token ? String(token.decimals) : '',
+    amountInWei: amountInWei.toString(),
+    amount: token ? formatUnits(amountInWei, token.decimals) : '',
+    isNative,
+    merchant: `${recipient.slice(0, 6)}...${recipient.slice(-4)}`,
+    recipient1: recipient,
+    recipient2: '0x0000000000000000000000000000000000000000',
+    recipient3: '0x0000000000000000000000000000000000000000',
+    recipient1Percentage: '10000',
+    recipient2Percentage: '0',
+    recipient3Percentage: '0'
+  };
+};
+
+export default {
+  isEip681Uri,
+  isEip681PaymentId,
+  parseEip681Number,
+  parseEip681Uri
+};
@@ -0,0 +1,82 @@
+/**
+ * Payment Expiry Utilities
+ *
+ * Payment requests carry an expiry (from the backend payment record or the
+ * link's `expiresAt` parameter). Once it passes, the backend may already have
+ * cancelled the invoice, so the payment flows refuse to send funds.
+ */
+
+// Unix timestamps below this are in seconds, above it in milliseconds
+const SECONDS_TIMESTAMP_LIMIT = 1e11;
+
+// Remaining time under which the countdown is shown as urgent
+export const EXPIRY_WARNING_MS = 2 * 60 * 1000;
+
+/**
+ * Parse an expiry value into a millisecond timestamp
+ * Accepts unix seconds, unix milliseconds (number or numeric string) and ISO 8601 dates
+ *
+ * @param {string|number|Date|null} value - Expiry from the backend or URL
+ * @returns {number|null} Milliseconds since epoch, or null when missing/invalid
+ */
+export const parseExpiry = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const timestamp = Number(text);
+    return timestamp < SECONDS_TIMESTAMP_LIMIT ? Math.round(timestamp * 1000) : Math.round(timestamp);
+  }
+
+  const parsed = Date.parse(text);
+  return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Milliseconds left until expiry (never negative)
+ *
+ * @param {number|null} expiresAt - Expiry in milliseconds since epoch
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Remaining milliseconds, or null when the payment does not expire
+ */
+export const getTimeRemaining = (expiresAt, now = Date.now()) => (
+  expiresAt === null ? null : Math.max(0, expiresAt - now)
+);
+
+/**
+ * Check whether a payment has expired
+ *
+ * @param {string|number|null} expiresAt - Raw or parsed expiry
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} False when the payment has no expiry
+ */
+export const isPaymentExpired = (expiresAt, now = Date.now()) => {
+  const expiry = parseExpiry(expiresAt);
+  return expiry !== null && expiry <= now;
+};
+
+/**
+ * Format remaining time as a countdown (e.g. "1:05:09", "4:32", "0:07")
+ *
+ * @param {number} remainingMs - Remaining milliseconds
+ * @returns {string}
+ */
+export const formatCountdown = (remainingMs) => {
+  const totalSeconds = Math.ceil(Math.max(0, remainingMs) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+export default {
+  EXPIRY_WARNING_MS,
+  parseExpiry,
+  getTimeRemaining,
+  isPaymentExpired,
+  formatCountdown
+};
@@ -0,0 +1,89 @@
+import { expandPayloadParams } from './paymentPayload';
+
+/**
+ * Payment Flow Options
+ *
+ * One payment flow serves every device; these options decide how it behaves.
+ * The presentation (mobile or desktop layout) follows the device unless the
+ * link asks for one with presentation=mobile|desktop. Auto-approval starts
+ * the payment as soon as the wallet is connected on the payment's network;
+ * it is on for the desktop presentation and can be set with autoApprove=true|false.
+ */
+
+export const PRESENTATIONS = {
+  MOBILE: 'mobile',
+  DESKTOP: 'desktop'
+};
+
+const MOBILE_USER_AGENT = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i;
+
+// Wallet browsers can inject their provider late; desktop extensions inject it before the page loads
+const PROVIDER_TIMEOUT_MS = {
+  [PRESENTATIONS.MOBILE]: 60000,
+  [PRESENTATIONS.DESKTOP]: 3000
+};
+
+// Mobile wallets need longer after connecting before they accept transaction requests
+const AUTO_APPROVAL_DELAY_MS = {
+  [PRESENTATIONS.MOBILE]: 3000,
+  [PRESENTATIONS.DESKTOP]: 1500
+};
+
+const parseFlag = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+};
+
+export const isMobileUserAgent = (userAgent) => MOBILE_USER_AGENT.test(userAgent || '');
+
+/**
+ * Work out the flow options for a payment link
+ *
+ * @param {URLSearchParams} searchParams - Link parameters (compact payloads already expanded)
+ * @param {string} userAgent - Browser user agent
+ * @returns {object} { presentation, autoApprove, providerTimeoutMs, autoApprovalDelayMs }
+ */
+export const getPaymentFlowOptions = (searchParams, userAgent = '') => {
+  const requested = searchParams.get('presentation');
+  let presentation = PRESENTATIONS.DESKTOP;
+  if (Object.values(PRESENTATIONS).includes(requested)) {
+    presentation = requested;
+  } else if (searchParams.get('isMobile') === 'true' || isMobileUserAgent(userAgent)) {
+    presentation = PRESENTATIONS.MOBILE;
+  }
+
+  const autoApprove = parseFlag(searchParams.get('autoApprove'));
+
+  return {
+    presentation,
+    autoApprove: autoApprove === null ? presentation === PRESENTATIONS.DESKTOP : autoApprove,
+    providerTimeoutMs: PROVIDER_TIMEOUT_MS[presentation],
+    autoApprovalDelayMs: AUTO_APPROVAL_DELAY_MS[presentation]
+  };
+};
+
+/**
+ * Flow options for the current page
+ *
+ * @returns {object} See getPaymentFlowOptions
+ */
+export const getPageFlowOptions = () => {
+  if (typeof window === 'undefined') return getPaymentFlowOptions(new URLSearchParams());
+
+  // Compact links carry their fields in a single p= payload; the flow reports undecodable ones
+  let params = new URLSearchParams(window.location.search);
+  try {
+    params = expandPayloadParams(params);
+  } catch (error) {
+    // Fall back to the plain parameters
+  }
+  return getPaymentFlowOptions(params, navigator.userAgent);
+};
+
+export default {
+  PRESENTATIONS,
+  isMobileUserAgent,
+  getPaymentFlowOptions,
+  getPageFlowOptions
+};
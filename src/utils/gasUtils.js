@@ -0,0 +1,130 @@
+import { estimateGas, estimateFeesPerGas, getGasPrice } from '@wagmi/core';
+import { encodeFunctionData, erc20Abi } from 'viem';
+
+/**
+ * Gas Utilities for Transaction Cost Estimation
+ */
+
+// Gas limit assumed for splitPayment while it cannot be estimated yet
+// (estimation reverts until the splitter has an allowance)
+export const SPLIT_PAYMENT_GAS_FALLBACK = 250_000n;
+
+// CoinGecko ids of each supported chain's native coin, for the fiat fee preview
+const NATIVE_PRICE_IDS = {
+  1: 'ethereum',
+  56: 'binancecoin',
+  137: 'polygon-ecosystem-token',
+  42161: 'ethereum',
+  10: 'ethereum',
+  43114: 'avalanche-2',
+  42220: 'celo'
+};
+
+const PRICE_API_URL = import.meta.env.VITE_PRICE_API_URL || 'https://api.coingecko.com/api/v3/simple/price';
+
+/**
+ * Get the per-gas fee the wallet will most likely charge
+ * Falls back to legacy gas price on chains without EIP-1559 fee data
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<bigint>} Fee per gas in wei
+ */
+export const getFeePerGas = async (wagmiConfig, chainId) => {
+  try {
+    const fees = await estimateFeesPerGas(wagmiConfig, { chainId });
+    return fees.maxFeePerGas ?? fees.gasPrice;
+  } catch (error) {
+    return getGasPrice(wagmiConfig, { chainId });
+  }
+};
+
+/**
+ * Estimate network fees for the whole payment (approve when needed, then splitPayment)
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { chainId, account, tokenAddress, splitterAddress, splitterAbi, paymentDetails, value, needsApproval }
+ * @returns {Promise<object>} { approveGas, splitGas, splitEstimated, feePerGas, totalCost, measuredCost } gas in units,
+ *   fees in wei; measuredCost leaves out the split while it is only the fallback guess
+ */
+export const estimatePaymentFees = async (wagmiConfig, {
+  chainId,
+  account,
+  tokenAddress,
+  splitterAddress,
+  splitterAbi,
+  paymentDetails,
+  value,
+  needsApproval
+}) => {
+  const feePerGas = await getFeePerGas(wagmiConfig, chainId);
+
+  const approveGas = needsApproval
+    ? await estimateGas(wagmiConfig, {
+        account,
+        to: tokenAddress,
+        data: encodeFunctionData({ abi: erc20Abi, functionName: 'approve', args: [splitterAddress, paymentDetails.amount] }),
+        chainId
+      })
+    : 0n;
+
+  let splitGas = SPLIT_PAYMENT_GAS_FALLBACK;
+  let splitEstimated = false;
+  if (!needsApproval) {
+    try {
+      splitGas = await estimateGas(wagmiConfig, {
+        account,
+        to: splitterAddress,
+        data: encodeFunctionData({ abi: splitterAbi, functionName: 'splitPayment', args: [paymentDetails] }),
+        value,
+        chainId
+      });
+      splitEstimated = true;
+    } catch (error) {
+      // Keep the fallback; the wallet re-estimates when the payer signs
+    }
+  }
+
+  return {
+    approveGas,
+    splitGas,
+    splitEstimated,
+    feePerGas,
+    totalCost: (approveGas + splitGas) * feePerGas,
+    measuredCost: (approveGas + (splitEstimated ? splitGas : 0n)) * feePerGas
+  };
+};
+
+/**
+ * Get the USD price of a chain's native coin
+ *
+ * @param {number|string} chainId - Chain ID
+ * @returns {Promise<number|null>} Price in USD, or null when unavailable
+ */
+export const getNativeUsdPrice = async (chainId) => {
+  const priceId = NATIVE_PRICE_IDS[parseInt(chainId)];
+  if (!priceId) return null;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const response = await fetch(`${PRICE_API_URL}?ids=${priceId}&vs_currencies=usd`, {
+      signal: controller.signal
+    });
+    if (!response.ok) return null;
+    const prices = await response.json();
+    return prices[priceId]?.usd ?? null;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+export default {
+  SPLIT_PAYMENT_GAS_FALLBACK,
+  getFeePerGas,
+  estimatePaymentFees,
+  getNativeUsdPrice
+};
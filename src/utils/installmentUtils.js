@@ -0,0 +1,108 @@
+import { parseUnits, formatUnits } from 'viem';
+
+/**
+ * Installment (Partial Payment) Utilities
+ *
+ * B2B invoices can be settled in several transfers against one paymentId.
+ * The backend record then carries `allowPartialPayments`, `amountPaid`,
+ * an optional `minimumInstallment` and the `transactions` paid so far.
+ * Amounts are decimal strings in the payment token's units.
+ */
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * Read the installment state from a backend payment record
+ *
+ * @param {object} fetchedPayment - Backend payment record
+ * @param {number} decimals - Token decimals
+ * @returns {object|null} { totalAmount, paidAmount, remainingAmount, minimumAmount, transactions }, or null for single-transfer payments
+ */
+export const parseInstallments = (fetchedPayment, decimals) => {
+  if (!fetchedPayment?.allowPartialPayments) return null;
+
+  const totalUnits = parseUnits(String(fetchedPayment.amount), decimals);
+  const paidUnits = parseUnits(String(fetchedPayment.amountPaid ?? '0'), decimals);
+  const remainingUnits = totalUnits > paidUnits ? totalUnits - paidUnits : 0n;
+
+  return {
+    totalAmount: formatUnits(totalUnits, decimals),
+    paidAmount: formatUnits(paidUnits, decimals),
+    remainingAmount: formatUnits(remainingUnits, decimals),
+    minimumAmount: fetchedPayment.minimumInstallment ? String(fetchedPayment.minimumInstallment) : '',
+    transactions: (fetchedPayment.transactions || []).map(transaction => ({
+      hash: transaction.transactionHash,
+      amount: String(transaction.amount),
+      paidAt: transaction.createdAt || null
+    }))
+  };
+};
+
+/**
+ * Check an installment amount chosen by the payer
+ * The last installment may be below the minimum when less than the minimum is left
+ *
+ * @param {string} amount - Chosen amount
+ * @param {object} installments - Installment state from parseInstallments
+ * @param {number} decimals - Token decimals
+ * @returns {string|null} Error message, or null when the amount can be paid
+ */
+export const checkInstallmentAmount = (amount, installments, decimals) => {
+  const value = String(amount || '').trim();
+  if (!DECIMAL_PATTERN.test(value)) return 'Enter the amount you want to pay now';
+
+  let units;
+  try {
+    units = parseUnits(value, decimals);
+  } catch (error) {
+    return `Amounts can have at most ${decimals} decimals`;
+  }
+
+  const remainingUnits = parseUnits(installments.remainingAmount, decimals);
+  if (units <= 0n) return 'Amount must be greater than zero';
+  if (units > remainingUnits) return `Amount exceeds the remaining balance of ${installments.remainingAmount}`;
+
+  if (installments.minimumAmount) {
+    const minimumUnits = parseUnits(installments.minimumAmount, decimals);
+    if (units < minimumUnits && units !== remainingUnits) {
+      return `Minimum payment is ${installments.minimumAmount} (or the full remaining balance)`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Add a settled installment to the installment state
+ *
+ * @param {object} installments - Installment state
+ * @param {object} transaction - { hash, amount }
+ * @param {number} decimals - Token decimals
+ * @returns {object} Updated installment state
+ */
+export const recordInstallment = (installments, { hash, amount }, decimals) => {
+  const paidUnits = parseUnits(installments.paidAmount, decimals) + parseUnits(String(amount), decimals);
+  const totalUnits = parseUnits(installments.totalAmount, decimals);
+
+  return {
+    ...installments,
+    paidAmount: formatUnits(paidUnits, decimals),
+    remainingAmount: formatUnits(totalUnits > paidUnits ? totalUnits - paidUnits : 0n, decimals),
+    transactions: [...installments.transactions, { hash, amount: String(amount), paidAt: new Date().toISOString() }]
+  };
+};
+
+/**
+ * Check whether nothing is left to pay
+ *
+ * @param {object} installments - Installment state
+ * @returns {boolean}
+ */
+export const isFullyPaid = (installments) => /^0(\.0+)?$/.test(installments.remainingAmount);
+
+export default {
+  parseInstallments,
+  checkInstallmentAmount,
+  recordInstallment,
+  isFullyPaid
+};
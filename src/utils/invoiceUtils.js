@@ -0,0 +1,104 @@
+import { parseUnits, formatUnits } from 'viem';
+
+/**
+ * Invoice Utilities
+ *
+ * Backend payment records can carry an itemized invoice:
+ *   { orderReference, lineItems: [{ description, quantity, unitPrice }],
+ *     discounts: [{ label, amount }], taxes: [{ label, rate, amount }], fees: [{ label, amount }] }
+ * Amounts are in the payment token's units. Totals are computed in base units
+ * (bigint) so the invoice can be checked against the exact amount charged on chain.
+ */
+
+// Quantities may be fractional (e.g. 1.5 hours); this many decimals are kept
+const QUANTITY_DECIMALS = 6;
+
+// Tax rates are percentages with up to this many decimals (e.g. 8.875)
+const RATE_DECIMALS = 4;
+
+const toUnits = (value, decimals) => parseUnits(String(value ?? '0').trim() || '0', decimals);
+
+// Divide rounding half up (amounts are never negative here)
+const divideRounded = (numerator, denominator) => (numerator + denominator / 2n) / denominator;
+
+/**
+ * Normalize the invoice from a backend payment record
+ *
+ * @param {object} fetchedPayment - Backend payment record
+ * @returns {object|null} Invoice, or null when the payment has no line items
+ */
+export const parseInvoice = (fetchedPayment) => {
+  const invoice = fetchedPayment?.invoice;
+  if (!invoice || !Array.isArray(invoice.lineItems) || invoice.lineItems.length === 0) return null;
+
+  return {
+    orderReference: invoice.orderReference || fetchedPayment.orderId || '',
+    lineItems: invoice.lineItems.map(item => ({
+      description: item.description || item.name || 'Item',
+      quantity: String(item.quantity ?? 1),
+      unitPrice: String(item.unitPrice ?? item.price ?? '0')
+    })),
+    discounts: (invoice.discounts || []).map(discount => ({ label: discount.label || 'Discount', amount: String(discount.amount) })),
+    taxes: (invoice.taxes || []).map(tax => ({
+      label: tax.label || 'Tax',
+      rate: tax.rate !== undefined && tax.rate !== null ? String(tax.rate) : '',
+      amount: tax.amount !== undefined && tax.amount !== null ? String(tax.amount) : ''
+    })),
+    fees: (invoice.fees || []).map(fee => ({ label: fee.label || 'Fee', amount: String(fee.amount) }))
+  };
+};
+
+/**
+ * Compute invoice totals and check them against the amount charged on chain
+ * Taxes without an amount are computed from their rate on the discounted subtotal
+ *
+ * @param {object} invoice - Invoice from parseInvoice
+ * @param {object} params - { decimals: token decimals, amountInUnits: bigint charged on chain }
+ * @returns {object} { lineItems, discounts, taxes, fees (with formatted totals), subtotal, total, difference, matches }
+ */
+export const summarizeInvoice = (invoice, { decimals, amountInUnits }) => {
+  const quantityScale = 10n ** BigInt(QUANTITY_DECIMALS);
+  const rateScale = 100n * 10n ** BigInt(RATE_DECIMALS);
+
+  const lineItems = invoice.lineItems.map(item => {
+    const totalUnits = divideRounded(toUnits(item.unitPrice, decimals) * toUnits(item.quantity, QUANTITY_DECIMALS), quantityScale);
+    return { ...item, totalUnits, total: formatUnits(totalUnits, decimals) };
+  });
+  const subtotalUnits = lineItems.reduce((sum, item) => sum + item.totalUnits, 0n);
+
+  const discounts = invoice.discounts.map(discount => ({ ...discount, totalUnits: toUnits(discount.amount, decimals) }));
+  const discountUnits = discounts.reduce((sum, discount) => sum + discount.totalUnits, 0n);
+  const taxableUnits = subtotalUnits > discountUnits ? subtotalUnits - discountUnits : 0n;
+
+  const taxes = invoice.taxes.map(tax => ({
+    ...tax,
+    totalUnits: tax.amount !== ''
+      ? toUnits(tax.amount, decimals)
+      : divideRounded(taxableUnits * toUnits(tax.rate, RATE_DECIMALS), rateScale)
+  }));
+  const fees = invoice.fees.map(fee => ({ ...fee, totalUnits: toUnits(fee.amount, decimals) }));
+
+  const totalUnits = taxableUnits +
+    taxes.reduce((sum, tax) => sum + tax.totalUnits, 0n) +
+    fees.reduce((sum, fee) => sum + fee.totalUnits, 0n);
+
+  const format = (entries) => entries.map(entry => ({ ...entry, total: formatUnits(entry.totalUnits, decimals) }));
+
+  return {
+    orderReference: invoice.orderReference,
+    lineItems,
+    discounts: format(discounts),
+    taxes: format(taxes),
+    fees: format(fees),
+    subtotal: formatUnits(subtotalUnits, decimals),
+    total: formatUnits(totalUnits, decimals),
+    totalUnits,
+    difference: formatUnits(totalUnits - amountInUnits, decimals),
+    matches: totalUnits === amountInUnits
+  };
+};
+
+export default {
+  parseInvoice,
+  summarizeInvoice
+};
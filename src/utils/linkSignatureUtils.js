@@ -0,0 +1,194 @@
+import { recoverTypedDataAddress, isHex, size } from 'viem';
+import { serializeAdditionalRecipients } from './splitUtils';
+
+/**
+ * Payment Link Signature Utilities
+ *
+ * Links that carry their own routing parameters (splitter, token, recipients,
+ * shares, amount) must be signed over the canonical parameter set, either with
+ * an HMAC from the backend or an EIP-712 signature from a trusted signer.
+ * Minimal links (payment ID only) are trusted because details come from the backend.
+ * EIP-681 payment requests from wallets and POS terminals never carry our
+ * signature; the payment flow accepts them unsigned only once they are
+ * reconciled with the payment on record.
+ */
+
+// Canonical parameter set covered by the signature, in signing order.
+// Values are the raw query values (no defaults), so both payment flows verify the same payload.
+export const SIGNED_LINK_FIELDS = [
+  'paymentId',
+  'splitterPaymentId',
+  'chainId',
+  'contractAddress',
+  'tokenContract',
+  'token',
+  'tokenDecimals',
+  'amount',
+  'amountInWei',
+  'isNative',
+  'recipient1',
+  'recipient2',
+  'recipient3',
+  'recipient1Percentage',
+  'recipient2Percentage',
+  'recipient3Percentage',
+  // Signed so a payer can't extend an expired link
+  'expiresAt',
+  // recipient4 and beyond as `address:bps` pairs (marketplace splits)
+  'additionalRecipients'
+];
+
+// Signed after the fields above only when the link has them, so links without them keep their signatures
+const OPTIONAL_SIGNED_FIELDS = [
+  // EIP-681 payment request (see eip681Utils); signed links may cover one, unsigned ones need a payment on record
+  'uri'
+];
+
+// Alternative query names the payment flows accept for a field (first present wins, as in the parsers).
+// Only names getValidatedUrlParams reads: signing any other name would let the signed and used values differ
+const FIELD_ALIASES = {
+  paymentId: ['paymentId', 'payment_id'],
+  chainId: ['chainId', 'chain_id', 'networkId', 'network_id'],
+  contractAddress: ['contractAddress', 'contract_address', 'paymentContract', 'contract'],
+  tokenContract: ['tokenContract', 'token_contract', 'tokenAddress', 'token_address'],
+  expiresAt: ['expiresAt', 'expires_at', 'expiry']
+};
+
+// Fields that route funds; their presence in a link makes a signature mandatory
+const ROUTING_FIELDS = [
+  'contractAddress',
+  'tokenContract',
+  'recipient1',
+  'recipient2',
+  'recipient3',
+  'recipient1Percentage',
+  'recipient2Percentage',
+  'recipient3Percentage',
+  'amountInWei',
+  'additionalRecipients'
+];
+
+const ADDRESS_FIELDS = ['contractAddress', 'tokenContract', 'recipient1', 'recipient2', 'recipient3'];
+
+export const LINK_SIGNATURE_DOMAIN = {
+  name: 'Coinley Payment Link',
+  version: '1'
+};
+
+
+// EIP-712 signers allowed to issue payment links (comma separated addresses)
+const getTrustedSigners = () => (import.meta.env.VITE_PAYMENT_LINK_SIGNERS || '')
+  .split(',')
+  .map(signer => signer.trim().toLowerCase())
+  .filter(Boolean);
+
+// Raw query value of a field, honouring the aliases the parsers accept
+const getRawField = (searchParams, field) => {
+  if (field === 'additionalRecipients') {
+    return serializeAdditionalRecipients(Object.fromEntries(searchParams.entries()));
+  }
+  for (const name of FIELD_ALIASES[field] || [field]) {
+    const value = searchParams.get(name);
+    if (value && value.trim() !== '') return value.trim();
+  }
+  return '';
+};
+
+// Fields signed for a link, in signing order
+const getSignedFields = (searchParams) => [
+  ...SIGNED_LINK_FIELDS,
+  ...OPTIONAL_SIGNED_FIELDS.filter(field => getRawField(searchParams, field) !== '')
+];
+
+/**
+ * Check whether a link carries parameters that route funds
+ *
+ * @param {URLSearchParams} searchParams - Raw query parameters
+ * @returns {boolean}
+ */
+export const hasRoutingParams = (searchParams) => ROUTING_FIELDS.some(field => getRawField(searchParams, field) !== '');
+
+/**
+ * Build the canonical signed values from the link's query parameters
+ * Missing fields are empty strings and addresses are lowercased
+ *
+ * @param {URLSearchParams} searchParams - Raw query parameters
+ * @returns {object} Field name to string value
+ */
+export const getCanonicalLinkParams = (searchParams) => Object.fromEntries(getSignedFields(searchParams).map(field => {
+  const value = getRawField(searchParams, field);
+  return [field, ADDRESS_FIELDS.includes(field) ? value.toLowerCase() : value];
+}));
+
+/**
+ * Serialize the canonical parameter set for HMAC signing (`field=value` joined by `&`, fixed order)
+ *
+ * @param {URLSearchParams} searchParams - Raw query parameters
+ * @returns {string}
+ */
+export const serializeCanonicalLinkParams = (searchParams) => {
+  const canonical = getCanonicalLinkParams(searchParams);
+  return Object.keys(canonical).map(field => `${field}=${encodeURIComponent(canonical[field])}`).join('&');
+};
+
+/**
+ * Recover the EIP-712 signer of a payment link
+ *
+ * @param {URLSearchParams} searchParams - Raw query parameters
+ * @param {string} signature - 65-byte hex signature
+ * @returns {Promise<string>} Signer address
+ */
+export const recoverLinkSigner = (searchParams, signature) => recoverTypedDataAddress({
+  domain: LINK_SIGNATURE_DOMAIN,
+  types: { PaymentLink: getSignedFields(searchParams).map(name => ({ name, type: 'string' })) },
+  primaryType: 'PaymentLink',
+  message: getCanonicalLinkParams(searchParams),
+  signature
+});
+
+/**
+ * Verify a payment link before any wallet interaction
+ *
+ * @param {object} params - { searchParams, verifyHmac(payload, signature) => Promise<boolean> }
+ * @returns {Promise<object>} { required, valid, method, signer, error }
+ */
+export const verifyPaymentLink = async ({ searchParams, verifyHmac }) => {
+  const required = hasRoutingParams(searchParams);
+  const signature = searchParams.get('sig') || '';
+
+  if (!signature) {
+    return required
+      ? { required, valid: false, method: null, error: 'This payment link is not signed. Please request a new link from the merchant.' }
+      : { required, valid: true, method: null };
+  }
+
+  // 65-byte hex signatures are EIP-712, anything else is a backend HMAC
+  const method = searchParams.get('sigType') || (isHex(signature) && size(signature) === 65 ? 'eip712' : 'hmac');
+
+  try {
+    if (method === 'eip712') {
+      const signer = await recoverLinkSigner(searchParams, signature);
+      const trusted = getTrustedSigners().includes(signer.toLowerCase());
+      return trusted
+        ? { required, valid: true, method, signer }
+        : { required, valid: false, method, signer, error: 'This payment link was modified or signed by an unknown issuer.' };
+    }
+
+    const valid = await verifyHmac(serializeCanonicalLinkParams(searchParams), signature);
+    return valid
+      ? { required, valid: true, method }
+      : { required, valid: false, method, error: 'This payment link was modified and can no longer be used.' };
+  } catch (error) {
+    return { required, valid: false, method, error: `Could not verify payment link: ${error.message}` };
+  }
+};
+
+export default {
+  SIGNED_LINK_FIELDS,
+  LINK_SIGNATURE_DOMAIN,
+  hasRoutingParams,
+  getCanonicalLinkParams,
+  serializeCanonicalLinkParams,
+  recoverLinkSigner,
+  verifyPaymentLink
+};
@@ -0,0 +1,95 @@
+import { API_ERROR_TYPES } from './apiClient';
+
+/**
+ * Notification Outbox Utilities
+ *
+ * Sent payments are reported to the backend through an outbox that lives in
+ * the persisted payment store: a notification stays pending, and is retried
+ * with exponential backoff across page loads, until the backend acknowledges
+ * it, refuses it for good, or the attempts run out. Entries are keyed by
+ * paymentId and transaction hash, so the same transaction is never queued
+ * (or reported) twice.
+ */
+
+export const NOTIFICATION_STATUS = {
+  PENDING: 'pending',
+  ACKNOWLEDGED: 'acknowledged',
+  // Refused by the backend, or out of attempts; no longer retried
+  FAILED: 'failed'
+};
+
+// Attempts before a notification is given up on (a little over an hour of retrying)
+export const MAX_NOTIFICATION_ATTEMPTS = 20;
+
+// Client errors the backend would answer the same way on every retry (timeouts and rate limits excepted)
+const RETRYABLE_CLIENT_STATUSES = [408, 429];
+
+// Milliseconds before the first retry; doubles per failed attempt up to the maximum
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Entries older than this are dropped, acknowledged or not
+const OUTBOX_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Outbox key of a payment notification
+ *
+ * @param {string} paymentId - Payment ID
+ * @param {string} transactionHash - Payment transaction hash
+ * @returns {string} Key (hashes compared case-insensitively)
+ */
+export const getNotificationKey = (paymentId, transactionHash) => `${paymentId}:${String(transactionHash).toLowerCase()}`;
+
+/**
+ * Delay before the next attempt after a failure
+ *
+ * @param {number} attempts - Failed attempts so far (1 after the first failure)
+ * @returns {number} Milliseconds: 5s, 10s, 20s, ... up to 5 minutes
+ */
+export const getNotificationRetryDelay = (attempts) => Math.min(
+  RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+  RETRY_MAX_DELAY_MS
+);
+
+/**
+ * Whether a failed notification attempt is worth retrying
+ *
+ * @param {Error} error - Error from the API client (see API_ERROR_TYPES)
+ * @returns {boolean} False when the backend refused the notification itself
+ */
+export const isRetryableNotificationError = (error) => {
+  if (error.type === API_ERROR_TYPES.REJECTED) return false;
+  if (error.status >= 400 && error.status < 500) return RETRYABLE_CLIENT_STATUSES.includes(error.status);
+  return true;
+};
+
+/**
+ * The pending notification to send next
+ *
+ * @param {object} outbox - Outbox entries by key
+ * @returns {object|null} Entry with the earliest nextAttemptAt, or null when nothing is pending
+ */
+export const getNextDueNotification = (outbox) => Object.values(outbox)
+  .filter(entry => entry.status === NOTIFICATION_STATUS.PENDING)
+  .reduce((next, entry) => (!next || entry.nextAttemptAt < next.nextAttemptAt ? entry : next), null);
+
+/**
+ * Drop entries past the outbox's time to live
+ *
+ * @param {object} outbox - Outbox entries by key
+ * @param {number} now - Current time in milliseconds
+ * @returns {object} Remaining entries by key
+ */
+export const pruneNotificationOutbox = (outbox, now = Date.now()) => Object.fromEntries(
+  Object.entries(outbox).filter(([, entry]) => now - entry.createdAt < OUTBOX_TTL_MS)
+);
+
+export default {
+  NOTIFICATION_STATUS,
+  MAX_NOTIFICATION_ATTEMPTS,
+  getNotificationKey,
+  getNotificationRetryDelay,
+  isRetryableNotificationError,
+  getNextDueNotification,
+  pruneNotificationOutbox
+};
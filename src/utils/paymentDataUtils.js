@@ -0,0 +1,330 @@
+import { readContract, getBalance } from '@wagmi/core';
+import { parseUnits, formatUnits, erc20Abi, zeroAddress } from 'viem';
+import { config, SUPPORTED_CHAIN_IDS } from '../wagmiConfig';
+import { getNativeCurrency, isNativeTokenPayment } from './tokenUtils';
+import { estimatePaymentFees } from './gasUtils';
+import { validatePaymentParams } from './validationUtils';
+import { parseInvoice, summarizeInvoice } from './invoiceUtils';
+import { parseInstallments, checkInstallmentAmount } from './installmentUtils';
+import { LEGACY_RECIPIENT_COUNT, hasAdditionalRecipients, getAdditionalRecipientParams, flattenBackendRecipients, supportsRecipientArrays, buildRecipientArrays } from './splitUtils';
+import { parseEip681Uri } from './eip681Utils';
+import { expandPayloadParams } from './paymentPayload';
+
+/**
+ * Payment Data Utilities
+ *
+ * Building the enhanced flow's paymentData (from the link, the backend record
+ * or an EIP-681 request) and deriving what the payment screens and the
+ * transaction need from it: amounts in base units, the splitter's payment
+ * details, fee estimates, and the invoice and installment checks.
+ */
+
+// Chains the payment screen can pay on (defined with the wagmi config)
+export { SUPPORTED_CHAIN_IDS };
+
+// Enhanced URL parameter extraction (FLEXIBLE VERSION - handles multiple parameter names)
+export const getValidatedUrlParams = () => {
+  // Compact links carry every field in a single p= payload
+  let params;
+  try {
+    params = expandPayloadParams(new URLSearchParams(window.location.search));
+  } catch (payloadError) {
+    console.error('❌ Invalid compact payment payload:', payloadError);
+    return { _validation: { isValid: false, error: `Invalid payment link: ${payloadError.message}` } };
+  }
+
+  // ⭐ ENHANCED DEBUG: Log EVERYTHING we receive from the deeplink
+  console.log(`
+🔍 ========================================
+   PAYMENT SCREEN RECEIVED URL
+========================================
+Full URL: ${window.location.href}
+
+📋 All URL Parameters:
+${Array.from(params.entries()).map(([key, value]) => `  ${key}: ${value}`).join('\n')}
+
+🔑 Critical Parameters Check:
+- paymentId: ${params.get('paymentId') || '❌ MISSING'}
+- chainId: ${params.get('chainId') || '❌ MISSING'}
+- preferredWallet: ${params.get('preferredWallet') || '❌ MISSING'}
+- isMobile: ${params.get('isMobile') || '❌ MISSING'}
+- contractAddress: ${params.get('contractAddress') || '❌ MISSING'}
+- tokenContract: ${params.get('tokenContract') || '❌ MISSING'}
+
+🌐 Browser Environment:
+- User Agent: ${navigator.userAgent}
+- Is Android WebView: ${navigator.userAgent.includes('wv')}
+- window.ethereum exists: ${!!window.ethereum}
+- window.trustwallet exists: ${!!window.trustwallet}
+
+========================================
+  `);
+
+  // Helper function to get parameter by multiple possible names
+  const getParam = (names) => {
+    for (const name of names) {
+      const value = params.get(name);
+      if (value && value.trim() !== '') {
+        return value.trim();
+      }
+    }
+    return '';
+  };
+
+  const paymentData = {
+    // Basic payment info
+    amount: getParam(['amount']) || '',
+    token: getParam(['token']) || 'USDC',
+    merchant: getParam(['merchant']) || 'Demo Merchant',
+    productAmount: getParam(['productAmount']) || '',
+    platformFee: getParam(['platformFee']) || '0',
+    networkFee: getParam(['networkFee']) || '0',
+    network: getParam(['network']) || 'Ethereum Mainnet',
+
+    // Contract addresses (critical for PaymentSplitter) - CHECK MULTIPLE NAMES
+    contractAddress: getParam(['contractAddress', 'contract_address', 'paymentContract', 'contract']) || '',
+    tokenContract: getParam(['tokenContract', 'token_contract', 'tokenAddress', 'token_address']) || '',
+    chainId: getParam(['chainId', 'chain_id', 'networkId', 'network_id']) || '1',
+
+    // Payment ID (required for backend communication) - CHECK MULTIPLE NAMES
+    paymentId: getParam(['paymentId', 'payment_id', 'splitterPaymentId']) || '',
+    splitterPaymentId: getParam(['splitterPaymentId', 'paymentId', 'payment_id']) || '',
+
+    // Split payment parameters (aligned with useTransactionHandling)
+    recipient1: params.get('recipient1') || '',
+    recipient2: params.get('recipient2') || '',
+    recipient3: params.get('recipient3') || '0x0000000000000000000000000000000000000000',
+    recipient1Percentage: params.get('recipient1Percentage') || '10000',
+    recipient2Percentage: params.get('recipient2Percentage') || '0',
+    recipient3Percentage: params.get('recipient3Percentage') || '0',
+    // Marketplace splits (affiliate, seller, tax...): recipient4, recipient4Percentage, ...
+    ...getAdditionalRecipientParams(params),
+
+    // Token configuration
+    tokenDecimals: params.get('tokenDecimals') || '',
+    amountInWei: params.get('amountInWei') || '',
+    isNative: params.get('isNative') === 'true', // Native coin payment (ETH/BNB/MATIC/AVAX/CELO)
+
+    // Payment request expiry (unix seconds/milliseconds or ISO date)
+    expiresAt: getParam(['expiresAt', 'expires_at', 'expiry']) || null,
+
+    // Mobile-specific parameters
+    isMobile: params.get('isMobile') === 'true',
+    preferredWallet: params.get('preferredWallet') || 'metamask'
+  };
+
+  // 🔍 Debug: Log all URL parameters for troubleshooting
+  console.log('🔍 Payment Screen - URL Parameters Debug:', {
+    allParams: Object.fromEntries(params.entries()),
+    extractedPaymentData: paymentData,
+    criticalParams: {
+      paymentId: paymentData.paymentId,
+      contractAddress: paymentData.contractAddress,
+      tokenContract: paymentData.tokenContract,
+      chainId: paymentData.chainId,
+      amount: paymentData.amount
+    }
+  });
+
+  // EIP-681 payment request (wallet QR / POS): the URI replaces our own payment params, unless the link
+  // names a payment on record; then the backend's details are used and the request is reconciled with them
+  const paymentUri = params.get('uri');
+  if (paymentUri) {
+    try {
+      const paymentRequest = parseEip681Uri(paymentUri);
+      if (paymentData.paymentId) {
+        paymentData.paymentRequest = paymentRequest;
+      } else {
+        Object.assign(paymentData, paymentRequest);
+      }
+      console.log('🔗 EIP-681 payment request parsed:', paymentRequest);
+    } catch (uriError) {
+      console.error('❌ Invalid EIP-681 payment request:', uriError);
+      return {
+        ...paymentData,
+        _validation: { isValid: false, error: uriError.message }
+      };
+    }
+  }
+
+  // Native coins use the chain's decimals, ERC-20 tokens default to 6 (USDC/USDT)
+  if (!paymentData.tokenDecimals) {
+    paymentData.tokenDecimals = isNativeTokenPayment(paymentData)
+      ? String(getNativeCurrency(paymentData.chainId)?.decimals || 18)
+      : '6';
+  }
+
+  // ✅ SAFE: Validate parameters using the shared validation module (returns object, doesn't throw)
+  const validation = validatePaymentParams(paymentData, {
+    required: ['paymentId'],
+    supportedChainIds: SUPPORTED_CHAIN_IDS
+  });
+
+  return {
+    ...paymentData,
+    _validation: validation  // Attach validation result
+  };
+};
+
+// Map a backend payment record onto paymentData fields
+export const mapBackendPayment = (fetchedPayment) => ({
+  contractAddress: fetchedPayment.splitterContractAddress,
+  tokenContract: fetchedPayment.Token?.contractAddress,
+  chainId: fetchedPayment.Network?.chainId || fetchedPayment.chainId,
+  amount: fetchedPayment.amount,
+  token: fetchedPayment.Token?.symbol,
+  merchant: fetchedPayment.Merchant?.businessName,
+  recipient1: fetchedPayment.merchantWallet,
+  recipient2: fetchedPayment.coinleyWallet,
+  // Backend percentages are floats (0.3 * 100 = 30.000000000000004); the splitter takes whole basis points
+  recipient1Percentage: Math.round(fetchedPayment.merchantPercentage * 100).toString(),
+  recipient2Percentage: Math.round(fetchedPayment.coinleyPercentage * 100).toString(),
+  tokenDecimals: fetchedPayment.Token?.decimals?.toString(),
+  network: fetchedPayment.Network?.name,
+  isNative: !!fetchedPayment.Token?.isNative,
+  // Multi-recipient payments list every wallet with its share, replacing merchant/platform
+  ...(Array.isArray(fetchedPayment.recipients) && fetchedPayment.recipients.length > 0 && flattenBackendRecipients(fetchedPayment.recipients)),
+  // Itemized invoice (line items, discounts, taxes); null for single-amount payments
+  invoice: parseInvoice(fetchedPayment),
+  // Remaining-balance state for invoices paid in several transfers; null for single-transfer payments
+  installments: parseInstallments(fetchedPayment, fetchedPayment.Token?.decimals ?? 6),
+  // The backend expiry wins; links without one keep the expiry from the URL
+  ...(fetchedPayment.expiresAt && { expiresAt: fetchedPayment.expiresAt })
+});
+
+// Fill in what an EIP-681 request lacks: splitter address, and symbol/decimals of unknown tokens
+export const resolveEip681PaymentData = async (urlParams, getContractInfo) => {
+  const chainId = parseInt(urlParams.chainId);
+  const contractInfo = await getContractInfo(chainId);
+  const resolved = { ...urlParams, contractAddress: contractInfo.address };
+
+  if (!urlParams.isNative && !urlParams.token) {
+    const [symbol, decimals] = await Promise.all([
+      readContract(config, { address: urlParams.tokenContract, abi: erc20Abi, functionName: 'symbol', chainId }),
+      readContract(config, { address: urlParams.tokenContract, abi: erc20Abi, functionName: 'decimals', chainId })
+    ]);
+    resolved.token = symbol;
+    resolved.tokenDecimals = String(decimals);
+    resolved.amount = formatUnits(BigInt(urlParams.amountInWei), decimals);
+  }
+
+  return resolved;
+};
+
+// Payment amount in token base units (using exact backend data when available)
+export const getPaymentAmountInUnits = (paymentData, isNative) => {
+  const nativeCurrency = getNativeCurrency(paymentData.chainId);
+  const decimals = parseInt(paymentData.tokenDecimals) || (isNative ? nativeCurrency?.decimals || 18 : 6);
+  const amountInUnits = paymentData.amountInWei && paymentData.amountInWei !== ''
+    ? BigInt(paymentData.amountInWei)
+    : parseUnits(paymentData.amount, decimals);
+  return { amountInUnits, decimals };
+};
+
+// Create payment details tuple (exact structure from useTransactionHandling)
+// Splitters whose ABI takes recipient arrays get every recipient; older ones the three-recipient tuple
+export const buildSplitPaymentDetails = (paymentData, amountInUnits, isNative, abi) => {
+  const base = {
+    token: isNative ? zeroAddress : (paymentData.tokenContract || paymentData.tokenAddress),
+    amount: amountInUnits,
+    // CRITICAL: Use splitterPaymentId first for blockchain verification
+    paymentId: paymentData.splitterPaymentId || paymentData.paymentId
+  };
+
+  if (supportsRecipientArrays(abi)) {
+    return { ...base, ...buildRecipientArrays(paymentData) };
+  }
+
+  if (hasAdditionalRecipients(paymentData)) {
+    throw new Error(`This payment is split between more than ${LEGACY_RECIPIENT_COUNT} recipients, which the payment contract on this network does not support.`);
+  }
+
+  return {
+    ...base,
+    recipient1: paymentData.recipient1 || paymentData.merchantWallet || '0x0000000000000000000000000000000000000000',
+    recipient2: paymentData.recipient2 || paymentData.coinleyWallet || '0x0000000000000000000000000000000000000000',
+    recipient3: paymentData.recipient3 || '0x0000000000000000000000000000000000000000',
+    recipient1Percentage: BigInt(paymentData.recipient1Percentage || 10000),
+    recipient2Percentage: BigInt(paymentData.recipient2Percentage || 0),
+    recipient3Percentage: BigInt(paymentData.recipient3Percentage || 0)
+  };
+};
+
+// Estimate approve + split network fees and compare them with the payer's native balance
+export const estimateNetworkFees = async ({ paymentData, account, abi, amountInUnits, isNative }) => {
+  const chainId = parseInt(paymentData.chainId);
+  const nativeCurrency = getNativeCurrency(chainId);
+
+  const allowance = isNative ? null : await readContract(config, {
+    address: paymentData.tokenContract,
+    abi: erc20Abi,
+    functionName: 'allowance',
+    args: [account, paymentData.contractAddress],
+    chainId
+  });
+  const needsApproval = !isNative && allowance < amountInUnits;
+
+  const [fees, nativeBalance] = await Promise.all([
+    estimatePaymentFees(config, {
+      chainId,
+      account,
+      tokenAddress: paymentData.tokenContract,
+      splitterAddress: paymentData.contractAddress,
+      splitterAbi: abi,
+      paymentDetails: buildSplitPaymentDetails(paymentData, amountInUnits, isNative, abi),
+      value: isNative ? amountInUnits : undefined,
+      needsApproval
+    }),
+    getBalance(config, { address: account, chainId })
+  ]);
+
+  const requiredNative = fees.totalCost + (isNative ? amountInUnits : 0n);
+  // What the payer needs for certain: the estimated legs (and the amount itself for native coin)
+  const measuredRequiredNative = fees.measuredCost + (isNative ? amountInUnits : 0n);
+
+  return {
+    ...fees,
+    needsApproval,
+    nativeBalance: nativeBalance.value,
+    requiredNative,
+    hasEnoughNative: nativeBalance.value >= requiredNative,
+    measuredRequiredNative,
+    hasEnoughForMeasured: nativeBalance.value >= measuredRequiredNative,
+    symbol: nativeCurrency?.symbol || 'ETH',
+    decimals: nativeCurrency?.decimals || 18
+  };
+};
+
+// Invoice totals against the amount charged on chain (null for payments without an itemized invoice)
+export const getInvoiceSummary = (paymentData) => {
+  if (!paymentData?.invoice) return null;
+  try {
+    const { amountInUnits, decimals } = getPaymentAmountInUnits(paymentData, isNativeTokenPayment(paymentData));
+    return summarizeInvoice(paymentData.invoice, { decimals, amountInUnits });
+  } catch (err) {
+    return { error: err.message, matches: false };
+  }
+};
+
+// Installment payments: the part of the remaining balance paid now ('' pays all of it)
+export const getInstallmentCharge = (paymentData, installmentAmount) =>
+  installmentAmount.trim() || paymentData.installments.remainingAmount;
+
+export const getInstallmentError = (paymentData, installmentAmount) => checkInstallmentAmount(
+  getInstallmentCharge(paymentData, installmentAmount),
+  paymentData.installments,
+  getPaymentAmountInUnits(paymentData, isNativeTokenPayment(paymentData)).decimals
+);
+
+export default {
+  SUPPORTED_CHAIN_IDS,
+  getValidatedUrlParams,
+  mapBackendPayment,
+  resolveEip681PaymentData,
+  getPaymentAmountInUnits,
+  buildSplitPaymentDetails,
+  estimateNetworkFees,
+  getInvoiceSummary,
+  getInstallmentCharge,
+  getInstallmentError
+};
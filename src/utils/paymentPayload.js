@@ -0,0 +1,297 @@
+/**
+ * Compact Payment Payload (`p=` parameter)
+ *
+ * Packs full-parameter payment links into one base64url value so QR codes stay
+ * sparse enough for cheap phone cameras. Dependency-free so the QR generator
+ * page and the node link scripts can share it with the app.
+ *
+ * Format (version 1): one version byte, then fields as
+ * [tag (1 byte)][length (varint)][value bytes]. Unknown tags are skipped so
+ * new fields can be added without a version bump.
+ */
+
+export const PAYLOAD_VERSION = 1;
+
+// Value encodings
+const TYPE_STRING = 'string';
+const TYPE_ADDRESS = 'address';
+const TYPE_UINT = 'uint';
+const TYPE_FLAG = 'flag';
+const TYPE_UUID = 'uuid';
+const TYPE_HEX = 'hex';
+const TYPE_RECIPIENTS = 'recipients';
+
+// Tag table: never reuse or renumber a tag once released
+const PAYLOAD_FIELDS = [
+  { tag: 1, name: 'paymentId', type: TYPE_STRING },
+  { tag: 2, name: 'paymentId', type: TYPE_UUID },
+  { tag: 3, name: 'splitterPaymentId', type: TYPE_STRING },
+  { tag: 4, name: 'splitterPaymentId', type: TYPE_UUID },
+  { tag: 5, name: 'chainId', type: TYPE_UINT },
+  { tag: 6, name: 'contractAddress', type: TYPE_ADDRESS },
+  { tag: 7, name: 'tokenContract', type: TYPE_ADDRESS },
+  { tag: 8, name: 'token', type: TYPE_STRING },
+  { tag: 9, name: 'tokenDecimals', type: TYPE_UINT },
+  { tag: 10, name: 'amount', type: TYPE_STRING },
+  { tag: 11, name: 'amountInWei', type: TYPE_UINT },
+  { tag: 12, name: 'isNative', type: TYPE_FLAG },
+  { tag: 13, name: 'recipient1', type: TYPE_ADDRESS },
+  { tag: 14, name: 'recipient2', type: TYPE_ADDRESS },
+  { tag: 15, name: 'recipient3', type: TYPE_ADDRESS },
+  { tag: 16, name: 'recipient1Percentage', type: TYPE_UINT },
+  { tag: 17, name: 'recipient2Percentage', type: TYPE_UINT },
+  { tag: 18, name: 'recipient3Percentage', type: TYPE_UINT },
+  { tag: 19, name: 'merchant', type: TYPE_STRING },
+  { tag: 20, name: 'network', type: TYPE_STRING },
+  { tag: 21, name: 'sig', type: TYPE_HEX },
+  { tag: 22, name: 'sig', type: TYPE_STRING },
+  { tag: 23, name: 'sigType', type: TYPE_STRING },
+  { tag: 24, name: 'productAmount', type: TYPE_STRING },
+  { tag: 25, name: 'platformFee', type: TYPE_STRING },
+  { tag: 26, name: 'networkFee', type: TYPE_STRING },
+  { tag: 27, name: 'merchantAddress', type: TYPE_ADDRESS },
+  { tag: 28, name: 'expiresAt', type: TYPE_UINT },
+  { tag: 29, name: 'expiresAt', type: TYPE_STRING },
+  // recipient4 and beyond, packed as [index varint][address][bps varint] entries
+  { tag: 30, name: 'additionalRecipients', type: TYPE_RECIPIENTS }
+];
+
+// Recipients the fixed tags cover; later ones go into the packed recipients field
+const FIXED_RECIPIENT_COUNT = 3;
+const RECIPIENT_FIELD_PATTERN = /^recipient(\d+)(Percentage)?$/;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const HEX_PATTERN = /^0x(?:[0-9a-fA-F]{2})+$/;
+const UINT_PATTERN = /^\d+$/;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const hexToBytes = (hex) => Uint8Array.from(hex.slice(2).match(/.{2}/g), byte => parseInt(byte, 16));
+const bytesToHex = (bytes) => '0x' + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Unsigned LEB128 (amounts need bigint precision)
+const encodeVarint = (value) => {
+  let remaining = BigInt(value);
+  const bytes = [];
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0n);
+  return bytes;
+};
+
+const decodeVarint = (bytes, offset) => {
+  let value = 0n;
+  let shift = 0n;
+  let position = offset;
+  for (;;) {
+    if (position >= bytes.length) throw new Error('Truncated payment payload');
+    const byte = bytes[position++];
+    value |= BigInt(byte & 0x7f) << shift;
+    if ((byte & 0x80) === 0) return { value, next: position };
+    shift += 7n;
+  }
+};
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+// Pick the most compact encoding that fits the value (e.g. UUID over string)
+const selectField = (name, value) => {
+  const candidates = PAYLOAD_FIELDS.filter(field => field.name === name);
+  return candidates.find(field => {
+    switch (field.type) {
+      case TYPE_UUID: return UUID_PATTERN.test(value);
+      case TYPE_ADDRESS: return ADDRESS_PATTERN.test(value);
+      case TYPE_UINT: return UINT_PATTERN.test(value);
+      case TYPE_HEX: return HEX_PATTERN.test(value);
+      case TYPE_RECIPIENTS: return false; // filled from recipient4+ fields only
+      default: return true;
+    }
+  });
+};
+
+// Pack recipient4+ fields ({ recipient4, recipient4Percentage, ... }) into one value
+const encodeRecipients = (recipients) => Object.keys(recipients)
+  .filter(name => !name.endsWith('Percentage'))
+  .map(name => Number(RECIPIENT_FIELD_PATTERN.exec(name)[1]))
+  .sort((a, b) => a - b)
+  .flatMap(index => {
+    const address = recipients[`recipient${index}`];
+    if (!ADDRESS_PATTERN.test(address)) {
+      throw new Error(`Field "recipient${index}" cannot be encoded in a payment payload`);
+    }
+    return [
+      ...encodeVarint(index),
+      ...hexToBytes(address),
+      ...encodeVarint(recipients[`recipient${index}Percentage`] || '0')
+    ];
+  });
+
+const decodeRecipients = (bytes) => {
+  const fields = {};
+  let offset = 0;
+  while (offset < bytes.length) {
+    const { value: index, next } = decodeVarint(bytes, offset);
+    const addressEnd = next + 20;
+    if (addressEnd > bytes.length) throw new Error('Truncated payment payload');
+    const { value: percentage, next: end } = decodeVarint(bytes, addressEnd);
+    fields[`recipient${index}`] = bytesToHex(bytes.subarray(next, addressEnd));
+    fields[`recipient${index}Percentage`] = percentage.toString();
+    offset = end;
+  }
+  return fields;
+};
+
+const encodeValue = (type, value) => {
+  switch (type) {
+    case TYPE_UUID: return hexToBytes('0x' + value.replace(/-/g, ''));
+    case TYPE_ADDRESS:
+    case TYPE_HEX: return hexToBytes(value);
+    case TYPE_UINT: return encodeVarint(value);
+    case TYPE_FLAG: return [];
+    default: return Array.from(textEncoder.encode(value));
+  }
+};
+
+const decodeValue = (type, bytes) => {
+  switch (type) {
+    case TYPE_UUID: {
+      const hex = bytesToHex(bytes).slice(2);
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+    case TYPE_ADDRESS:
+    case TYPE_HEX: return bytesToHex(bytes);
+    case TYPE_UINT: return decodeVarint(bytes, 0).value.toString();
+    case TYPE_FLAG: return 'true';
+    default: return textDecoder.decode(bytes);
+  }
+};
+
+/**
+ * Encode payment link fields into a compact `p=` value
+ * Fields use the same names as the query parameters; empty values are left out
+ *
+ * @param {object} fields - { paymentId, chainId, contractAddress, amount, ... }
+ * @returns {string} base64url payload
+ */
+export const encodePaymentPayload = (fields) => {
+  const bytes = [PAYLOAD_VERSION];
+  const additionalRecipients = {};
+
+  Object.entries(fields).forEach(([name, rawValue]) => {
+    if (rawValue === undefined || rawValue === null || rawValue === '' || rawValue === false) return;
+
+    const recipientMatch = RECIPIENT_FIELD_PATTERN.exec(name);
+    if (recipientMatch && Number(recipientMatch[1]) > FIXED_RECIPIENT_COUNT) {
+      additionalRecipients[name] = String(rawValue);
+      return;
+    }
+
+    const value = String(rawValue);
+    const field = selectField(name, value);
+    if (!field) {
+      throw new Error(`Field "${name}" cannot be encoded in a payment payload`);
+    }
+    if (field.type === TYPE_FLAG && value !== 'true') return;
+
+    const encoded = encodeValue(field.type, value);
+    bytes.push(field.tag, ...encodeVarint(encoded.length), ...encoded);
+  });
+
+  if (Object.keys(additionalRecipients).length > 0) {
+    const field = PAYLOAD_FIELDS.find(candidate => candidate.type === TYPE_RECIPIENTS);
+    const encoded = encodeRecipients(additionalRecipients);
+    bytes.push(field.tag, ...encodeVarint(encoded.length), ...encoded);
+  }
+
+  return toBase64Url(bytes);
+};
+
+/**
+ * Decode a `p=` value back into query-parameter fields
+ *
+ * @param {string} payload - base64url payload
+ * @returns {object} Field name to string value
+ */
+export const decodePaymentPayload = (payload) => {
+  let bytes;
+  try {
+    bytes = fromBase64Url(payload);
+  } catch (error) {
+    throw new Error('Payment payload is not valid base64url');
+  }
+
+  if (bytes[0] !== PAYLOAD_VERSION) {
+    throw new Error(`Unsupported payment payload version ${bytes[0]}`);
+  }
+
+  const fields = {};
+  let offset = 1;
+  while (offset < bytes.length) {
+    const tag = bytes[offset];
+    const { value: length, next } = decodeVarint(bytes, offset + 1);
+    const end = next + Number(length);
+    if (end > bytes.length) throw new Error('Truncated payment payload');
+
+    const field = PAYLOAD_FIELDS.find(candidate => candidate.tag === tag);
+    if (field?.type === TYPE_RECIPIENTS) {
+      Object.assign(fields, decodeRecipients(bytes.subarray(next, end)));
+    } else if (field) {
+      fields[field.name] = decodeValue(field.type, bytes.subarray(next, end));
+    }
+    offset = end;
+  }
+
+  return fields;
+};
+
+/**
+ * Expand a `p=` parameter into regular query parameters
+ * Payload fields take precedence over loose parameters with the same name
+ *
+ * @param {URLSearchParams} searchParams - Raw query parameters
+ * @returns {URLSearchParams} Parameters with the payload expanded (unchanged when there is no `p=`)
+ */
+export const expandPayloadParams = (searchParams) => {
+  const payload = searchParams.get('p');
+  if (!payload) return searchParams;
+
+  const expanded = new URLSearchParams(searchParams);
+  expanded.delete('p');
+  Object.entries(decodePaymentPayload(payload)).forEach(([name, value]) => expanded.set(name, value));
+  return expanded;
+};
+
+/**
+ * Build a payment link carrying its fields in a single `p=` parameter
+ *
+ * @param {string} baseUrl - Payment screen URL
+ * @param {object} fields - Payment link fields
+ * @param {object} extraParams - Loose parameters kept outside the payload (e.g. isMobile, preferredWallet)
+ * @returns {string}
+ */
+export const buildCompactPaymentUrl = (baseUrl, fields, extraParams = {}) => {
+  const params = new URLSearchParams({ ...extraParams, p: encodePaymentPayload(fields) });
+  return `${baseUrl}?${params.toString()}`;
+};
+
+export default {
+  PAYLOAD_VERSION,
+  encodePaymentPayload,
+  decodePaymentPayload,
+  expandPayloadParams,
+  buildCompactPaymentUrl
+};
@@ -0,0 +1,132 @@
+/**
+ * Payment State Machine
+ *
+ * The steps of a payment and the moves allowed between them, declared once
+ * as a flow. The flow lists, for every step, the steps it may move to, plus
+ * guards that can refuse a move given the payment context (a payment can't
+ * succeed without a transaction hash, nor be confirmed before its details
+ * have loaded). A machine created from a flow applies transitions, runs the
+ * onEnter / onExit hooks of the steps involved and keeps a log of every
+ * transition, refused ones included.
+ *
+ * Kept free of imports so the test script can run it in plain node.
+ */
+
+// Guards return null when the move is allowed, or the reason it was refused
+const requirePaymentData = ({ paymentData }) => (paymentData ? null : 'payment details are not loaded');
+
+// Settled payments have a transaction hash, or were confirmed by the backend without reporting one
+const requireSettlement = ({ transactionHash, confirmed }) => (
+  transactionHash || confirmed ? null : 'no transaction hash for this payment'
+);
+
+const requireAmountMismatch = ({ amountMismatch }) => (amountMismatch ? null : 'no amount mismatch to resolve');
+
+// Waits for the wallet's injected provider, then loads the payment from the backend
+export const PAYMENT_FLOW = {
+  name: 'payment',
+  initial: 'waitingForProvider',
+  transitions: {
+    waitingForProvider: ['loading', 'providerTimeout', 'error'],
+    providerTimeout: ['loading', 'error'],
+    // A payment sent before the page reloaded resumes where the chain (or backend) says it is
+    loading: ['connection', 'processing', 'awaitingVerification', 'success', 'error'],
+    connection: ['confirmation', 'expired', 'error'],
+    confirmation: ['processing', 'awaitingVerification', 'expired', 'error'],
+    processing: ['success', 'error'],
+    // Payers who never sent the resumed payment go back to paying it
+    awaitingVerification: ['success', 'amountMismatch', 'connection', 'error'],
+    // Underpayments are topped up with a second transfer
+    amountMismatch: ['processing', 'success', 'error'],
+    // Installment payments start the next installment from the success step
+    success: ['confirmation'],
+    expired: [],
+    // A payment sent before the error (its outcome still unknown) is confirmed by the backend, not sent again
+    error: ['confirmation', 'awaitingVerification']
+  },
+  guards: {
+    connection: requirePaymentData,
+    confirmation: requirePaymentData,
+    processing: requirePaymentData,
+    amountMismatch: requireAmountMismatch,
+    success: requireSettlement
+  }
+};
+
+/**
+ * Why a move is not allowed
+ *
+ * @param {object} flow - Flow definition (PAYMENT_FLOW)
+ * @param {string} from - Current step
+ * @param {string} to - Requested step
+ * @param {object} context - Payment context passed to the guard ({ paymentData, transactionHash, ... })
+ * @returns {string|null} Reason the move is refused, or null when it is allowed
+ */
+export const getTransitionError = (flow, from, to, context = {}) => {
+  if (!flow.transitions[to]) return `unknown step "${to}"`;
+  if (!flow.transitions[from]?.includes(to)) return `${from} cannot move to ${to}`;
+  const guard = flow.guards?.[to];
+  return guard ? guard(context) : null;
+};
+
+/**
+ * Create a machine for one payment flow
+ *
+ * @param {object} flow - Flow definition (PAYMENT_FLOW)
+ * @param {object} hooks - { onEnter: { [step]: fn }, onExit: { [step]: fn } called with (context, entry),
+ *   onTransition(entry, context) after every applied move, onRejected(entry, context) for refused ones,
+ *   logLimit: transitions kept in the log (default 50) }
+ * @returns {object} { state, log, can(to, context), transition(to, context), reset() }
+ */
+export const createPaymentMachine = (flow, { onEnter = {}, onExit = {}, onTransition, onRejected, logLimit = 50 } = {}) => {
+  let state = flow.initial;
+  let log = [];
+
+  const record = (entry) => {
+    log = [...log, entry].slice(-logLimit);
+  };
+
+  return {
+    get state() {
+      return state;
+    },
+
+    get log() {
+      return log;
+    },
+
+    can: (to, context = {}) => to === state || !getTransitionError(flow, state, to, context),
+
+    // Returns whether the machine is now in the requested step; re-entering the current step is a no-op
+    transition(to, context = {}) {
+      if (to === state) return true;
+
+      const entry = { from: state, to, at: new Date().toISOString() };
+      const reason = getTransitionError(flow, state, to, context);
+      if (reason) {
+        const rejected = { ...entry, rejected: reason };
+        record(rejected);
+        if (onRejected) onRejected(rejected, context);
+        return false;
+      }
+
+      if (onExit[state]) onExit[state](context, entry);
+      state = to;
+      record(entry);
+      if (onEnter[to]) onEnter[to](context, entry);
+      if (onTransition) onTransition(entry, context);
+      return true;
+    },
+
+    reset() {
+      state = flow.initial;
+      log = [];
+    }
+  };
+};
+
+export default {
+  PAYMENT_FLOW,
+  getTransitionError,
+  createPaymentMachine
+};
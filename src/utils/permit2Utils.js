@@ -0,0 +1,160 @@
+import { readContract, signTypedData } from '@wagmi/core';
+import { erc20Abi } from 'viem';
+
+/**
+ * Uniswap Permit2 Utilities (SignatureTransfer)
+ *
+ * Payers who already granted Permit2 an ERC-20 allowance can authorize a
+ * one-off transfer to the splitter with a signature, no approve needed.
+ *
+ * @see https://docs.uniswap.org/contracts/permit2/reference/signature-transfer
+ */
+
+// Canonical Permit2 deployment (same address on every supported chain)
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// Splitter entry point that pulls tokens through Permit2
+export const PERMIT2_SPLIT_FUNCTION = 'splitPaymentWithPermit2';
+
+// Permit2 nonce bitmap lookup (unordered nonces)
+export const permit2Abi = [
+  {
+    name: 'nonceBitmap',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }, { name: 'wordPos', type: 'uint256' }],
+    outputs: [{ type: 'uint256' }]
+  }
+];
+
+const PERMIT_TRANSFER_FROM_TYPES = {
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+  ]
+};
+
+// Signature transfers are only valid for a short window
+const PERMIT2_DEADLINE_SECONDS = 20 * 60;
+
+/**
+ * Check whether the splitter (from getContractInfo) advertises Permit2 support
+ *
+ * @param {object} contractInfo - Contract info returned by api.getContractInfo
+ * @returns {boolean}
+ */
+export const splitterSupportsPermit2 = (contractInfo) => {
+  if (!contractInfo || contractInfo.supportsPermit2 === false) return false;
+  return Array.isArray(contractInfo.abi) &&
+         contractInfo.abi.some(item => item.type === 'function' && item.name === PERMIT2_SPLIT_FUNCTION);
+};
+
+/**
+ * Get the Permit2 contract address for a splitter
+ *
+ * @param {object} contractInfo - Contract info returned by api.getContractInfo
+ * @returns {string}
+ */
+export const getPermit2Address = (contractInfo) => contractInfo?.permit2Address || PERMIT2_ADDRESS;
+
+/**
+ * Read the payer's ERC-20 allowance to Permit2
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { tokenAddress, owner, permit2Address }
+ * @returns {Promise<bigint>}
+ */
+export const getPermit2Allowance = (wagmiConfig, { tokenAddress, owner, permit2Address }) => {
+  return readContract(wagmiConfig, {
+    address: tokenAddress,
+    abi: erc20Abi,
+    functionName: 'allowance',
+    args: [owner, permit2Address]
+  });
+};
+
+/**
+ * Pick an unused unordered nonce
+ * Permit2 nonces are a 248-bit word position plus an 8-bit bit position
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { owner, permit2Address }
+ * @returns {Promise<bigint>}
+ */
+export const findUnusedNonce = async (wagmiConfig, { owner, permit2Address }) => {
+  const randomWords = crypto.getRandomValues(new Uint32Array(8));
+  const wordPos = randomWords.slice(0, 7).reduce((acc, word) => (acc << 32n) + BigInt(word), 0n) >> 8n;
+
+  const bitmap = await readContract(wagmiConfig, {
+    address: permit2Address,
+    abi: permit2Abi,
+    functionName: 'nonceBitmap',
+    args: [owner, wordPos]
+  });
+
+  for (let bitPos = 0n; bitPos < 256n; bitPos++) {
+    if ((bitmap & (1n << bitPos)) === 0n) {
+      return (wordPos << 8n) | bitPos;
+    }
+  }
+
+  throw new Error('No unused Permit2 nonce found in word');
+};
+
+/**
+ * Ask the wallet for a Permit2 SignatureTransfer signature
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { tokenAddress, amount, owner, spender, chainId, permit2Address }
+ * @returns {Promise<object>} { permit, signature }
+ */
+export const signPermit2Transfer = async (wagmiConfig, { tokenAddress, amount, owner, spender, chainId, permit2Address }) => {
+  const nonce = await findUnusedNonce(wagmiConfig, { owner, permit2Address });
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT2_DEADLINE_SECONDS);
+
+  const permit = {
+    permitted: { token: tokenAddress, amount },
+    nonce,
+    deadline
+  };
+
+  const signature = await signTypedData(wagmiConfig, {
+    account: owner,
+    domain: { name: 'Permit2', chainId, verifyingContract: permit2Address },
+    types: PERMIT_TRANSFER_FROM_TYPES,
+    primaryType: 'PermitTransferFrom',
+    message: { ...permit, spender }
+  });
+
+  return { permit, signature };
+};
+
+/**
+ * Build splitter call arguments for a Permit2 split transaction
+ *
+ * @param {object} paymentDetails - splitPayment tuple
+ * @param {object} signedTransfer - Result of signPermit2Transfer
+ * @returns {object} { functionName, args }
+ */
+export const buildPermit2SplitCall = (paymentDetails, signedTransfer) => ({
+  functionName: PERMIT2_SPLIT_FUNCTION,
+  args: [paymentDetails, signedTransfer.permit, signedTransfer.signature]
+});
+
+export default {
+  PERMIT2_ADDRESS,
+  PERMIT2_SPLIT_FUNCTION,
+  permit2Abi,
+  splitterSupportsPermit2,
+  getPermit2Address,
+  getPermit2Allowance,
+  findUnusedNonce,
+  signPermit2Transfer,
+  buildPermit2SplitCall
+};
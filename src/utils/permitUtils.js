@@ -0,0 +1,174 @@
+import { readContract, signTypedData } from '@wagmi/core';
+import { domainSeparator, keccak256, toHex, parseSignature } from 'viem';
+
+/**
+ * Permit Utilities (EIP-2612 and DAI-style permits)
+ *
+ * Lets the payer authorize the splitter with an off-chain EIP-712 signature
+ * instead of a separate approve transaction.
+ *
+ * @see https://eips.ethereum.org/EIPS/eip-2612
+ */
+
+// Minimal ABI for permit detection (both permit flavours)
+export const permitAbi = [
+  { name: 'name', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'string' }] },
+  { name: 'version', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'string' }] },
+  { name: 'nonces', type: 'function', stateMutability: 'view', inputs: [{ name: 'owner', type: 'address' }], outputs: [{ type: 'uint256' }] },
+  { name: 'DOMAIN_SEPARATOR', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'bytes32' }] },
+  { name: 'PERMIT_TYPEHASH', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'bytes32' }] }
+];
+
+// EIP-712 types for each permit flavour
+const PERMIT_TYPES = {
+  eip2612: {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  dai: {
+    Permit: [
+      { name: 'holder', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'expiry', type: 'uint256' },
+      { name: 'allowed', type: 'bool' }
+    ]
+  }
+};
+
+const DAI_PERMIT_TYPEHASH = keccak256(toHex('Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)'));
+
+// Splitter entry points that accept a permit signature in place of an allowance
+export const PERMIT_SPLIT_FUNCTIONS = {
+  eip2612: 'splitPaymentWithPermit',
+  dai: 'splitPaymentWithDaiPermit'
+};
+
+// Permit signatures are only valid for a short window
+const PERMIT_DEADLINE_SECONDS = 20 * 60;
+
+/**
+ * Check whether the splitter ABI exposes a permit-plus-split entry point
+ *
+ * @param {Array} abi - Splitter contract ABI (from getContractInfo)
+ * @param {string} permitType - 'eip2612' or 'dai'
+ * @returns {boolean}
+ */
+export const splitterSupportsPermit = (abi, permitType = 'eip2612') => {
+  const functionName = PERMIT_SPLIT_FUNCTIONS[permitType];
+  return Array.isArray(abi) && abi.some(item => item.type === 'function' && item.name === functionName);
+};
+
+// Read a view function, returning null instead of throwing when the token lacks it
+const tryRead = async (wagmiConfig, tokenAddress, functionName, args = []) => {
+  try {
+    return await readContract(wagmiConfig, { address: tokenAddress, abi: permitAbi, functionName, args });
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Detect whether a token supports permit, and which flavour/domain it uses
+ *
+ * The on-chain DOMAIN_SEPARATOR is compared with locally computed candidates
+ * so the signature is only requested when we know the token will accept it.
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { tokenAddress, owner, chainId }
+ * @returns {Promise<object>} { supported, permitType, domain, nonce } or { supported: false, reason }
+ */
+export const detectPermitSupport = async (wagmiConfig, { tokenAddress, owner, chainId }) => {
+  const [name, nonce, onChainSeparator] = await Promise.all([
+    tryRead(wagmiConfig, tokenAddress, 'name'),
+    tryRead(wagmiConfig, tokenAddress, 'nonces', [owner]),
+    tryRead(wagmiConfig, tokenAddress, 'DOMAIN_SEPARATOR')
+  ]);
+
+  if (name === null || nonce === null || onChainSeparator === null) {
+    return { supported: false, reason: 'Token does not expose name/nonces/DOMAIN_SEPARATOR' };
+  }
+
+  const onChainVersion = await tryRead(wagmiConfig, tokenAddress, 'version');
+  const versionCandidates = [...new Set([onChainVersion, '1', '2'].filter(Boolean))];
+
+  // Match the domain the token actually uses (USDC uses version "2" on most chains)
+  const domain = versionCandidates
+    .map(version => ({ name, version, chainId, verifyingContract: tokenAddress }))
+    .find(candidate => domainSeparator({ domain: candidate }).toLowerCase() === onChainSeparator.toLowerCase());
+
+  if (!domain) {
+    return { supported: false, reason: 'Token DOMAIN_SEPARATOR does not match a known EIP-712 domain' };
+  }
+
+  const typeHash = await tryRead(wagmiConfig, tokenAddress, 'PERMIT_TYPEHASH');
+  const permitType = typeHash && typeHash.toLowerCase() === DAI_PERMIT_TYPEHASH ? 'dai' : 'eip2612';
+
+  return { supported: true, permitType, domain, nonce };
+};
+
+/**
+ * Ask the wallet for a permit signature
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { permit (from detectPermitSupport), owner, spender, value }
+ * @returns {Promise<object>} { permitType, deadline, nonce, v, r, s }
+ */
+export const signPermit = async (wagmiConfig, { permit, owner, spender, value }) => {
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_DEADLINE_SECONDS);
+
+  const message = permit.permitType === 'dai'
+    ? { holder: owner, spender, nonce: permit.nonce, expiry: deadline, allowed: true }
+    : { owner, spender, value, nonce: permit.nonce, deadline };
+
+  const signature = await signTypedData(wagmiConfig, {
+    account: owner,
+    domain: permit.domain,
+    types: PERMIT_TYPES[permit.permitType],
+    primaryType: 'Permit',
+    message
+  });
+
+  const { v, r, s, yParity } = parseSignature(signature);
+
+  return {
+    permitType: permit.permitType,
+    deadline,
+    nonce: permit.nonce,
+    v: Number(v ?? BigInt(yParity + 27)),
+    r,
+    s
+  };
+};
+
+/**
+ * Build splitter call arguments for a permit-plus-split transaction
+ *
+ * @param {object} paymentDetails - splitPayment tuple
+ * @param {object} signedPermit - Result of signPermit
+ * @returns {object} { functionName, args }
+ */
+export const buildPermitSplitCall = (paymentDetails, signedPermit) => {
+  const { permitType, deadline, nonce, v, r, s } = signedPermit;
+
+  return {
+    functionName: PERMIT_SPLIT_FUNCTIONS[permitType],
+    args: permitType === 'dai'
+      ? [paymentDetails, nonce, deadline, v, r, s]
+      : [paymentDetails, deadline, v, r, s]
+  };
+};
+
+export default {
+  permitAbi,
+  PERMIT_SPLIT_FUNCTIONS,
+  splitterSupportsPermit,
+  detectPermitSupport,
+  signPermit,
+  buildPermitSplitCall
+};
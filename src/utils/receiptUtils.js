@@ -0,0 +1,173 @@
+import { getTransactionConfirmations, getTransaction, getPublicClient } from '@wagmi/core';
+import { decodeErrorResult } from 'viem';
+import { getRequiredConfirmations } from '../wagmiConfig';
+
+/**
+ * Transaction Receipt Utilities
+ *
+ * Payments are only reported as successful once the split transaction is
+ * mined with status "success" and has the chain's required confirmations.
+ * Sped-up (repriced) transactions are followed to their new hash; cancelled,
+ * replaced and dropped transactions are reported as errors.
+ */
+
+// Milliseconds between confirmation checks while waiting for extra blocks
+const CONFIRMATION_POLL_INTERVAL = 3000;
+
+// Milliseconds to wait for a receipt before checking whether the transaction was dropped
+const RECEIPT_WAIT_TIMEOUT = 3 * 60 * 1000;
+
+// Create an error carrying the receipt outcome flag (reverted, cancelled, replaced, dropped)
+const createReceiptError = (message, props) => Object.assign(new Error(message), props);
+
+/**
+ * Wait for a receipt, following the transaction if the wallet speeds it up or cancels it
+ * Keeps waiting while the transaction is still pending, and throws once it leaves the mempool
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { hash, chainId, onReplaced({ reason, hash, replacedHash }) }
+ * @returns {Promise<object>} { receipt, replacement } where replacement is null or viem's onReplaced payload
+ */
+export const waitForReceiptWithReplacement = async (wagmiConfig, { hash, chainId, onReplaced }) => {
+  const publicClient = getPublicClient(wagmiConfig, { chainId });
+  let replacement = null;
+
+  for (;;) {
+    try {
+      // viem's action directly: the wagmi wrapper throws on reverts before we can decode the reason
+      const receipt = await publicClient.waitForTransactionReceipt({
+        hash,
+        timeout: RECEIPT_WAIT_TIMEOUT,
+        onReplaced: (response) => {
+          replacement = response;
+          onReplaced?.({
+            reason: response.reason,
+            hash: response.transaction.hash,
+            replacedHash: response.replacedTransaction.hash
+          });
+        }
+      });
+      return { receipt, replacement };
+    } catch (error) {
+      if (error.name !== 'WaitForTransactionReceiptTimeoutError') throw error;
+
+      // Still in the mempool (e.g. low gas price): keep waiting
+      const pending = await publicClient.getTransaction({ hash }).catch(() => null);
+      if (!pending) {
+        throw createReceiptError(
+          'Transaction was dropped from the network without being mined. No payment was made.',
+          { dropped: true, hash }
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Decode why a mined transaction reverted by replaying it on the state it ran against
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { hash, chainId, blockNumber, abi }
+ * @returns {Promise<string>} Human readable revert reason
+ */
+export const decodeRevertReason = async (wagmiConfig, { hash, chainId, blockNumber, abi = [] }) => {
+  try {
+    const tx = await getTransaction(wagmiConfig, { hash, chainId });
+    const publicClient = getPublicClient(wagmiConfig, { chainId });
+
+    await publicClient.call({
+      account: tx.from,
+      to: tx.to,
+      data: tx.input,
+      value: tx.value,
+      // The state before the transaction's block; its own block is the post-state
+      blockNumber: BigInt(blockNumber) - 1n
+    });
+
+    // Replay succeeded (e.g. ran out of gas originally, or an earlier transaction in the block changed the state)
+    return 'Transaction reverted without a reason';
+  } catch (error) {
+    const dataError = error.walk?.(e => typeof e?.data === 'string' || typeof e?.data?.data === 'string');
+    const revertData = typeof dataError?.data === 'string' ? dataError.data : dataError?.data?.data;
+
+    if (revertData && revertData !== '0x') {
+      try {
+        // Error(string) and Panic(uint256) are decoded even when the ABI lacks custom errors
+        const { errorName, args } = decodeErrorResult({ abi, data: revertData });
+        if (errorName === 'Error') return args[0];
+        if (errorName === 'Panic') return `Panic code ${args[0]}`;
+        return `${errorName}(${(args || []).map(String).join(', ')})`;
+      } catch (decodeError) {
+        return `Unknown revert data ${revertData.slice(0, 10)}`;
+      }
+    }
+
+    return error.shortMessage || 'Transaction reverted without a reason';
+  }
+};
+
+/**
+ * Wait for a transaction to be mined and reach the chain's required confirmations
+ * Throws an error flagged `reverted` (with `reason`), `cancelled`, `replaced` or `dropped`
+ * when the payment did not go through. The receipt's transactionHash is the final hash,
+ * which differs from `hash` when the wallet sped the transaction up.
+ *
+ * @param {object} wagmiConfig - Wagmi config
+ * @param {object} params - { hash, chainId, abi, onConfirmation(current, required), onReplaced }
+ * @returns {Promise<object>} Transaction receipt
+ */
+export const waitForConfirmedReceipt = async (wagmiConfig, { hash, chainId, abi, onConfirmation, onReplaced }) => {
+  const required = getRequiredConfirmations(chainId);
+
+  onConfirmation?.(0, required);
+  const { receipt, replacement } = await waitForReceiptWithReplacement(wagmiConfig, { hash, chainId, onReplaced });
+  const finalHash = receipt.transactionHash;
+
+  // A cancellation is a successful 0-value self transfer, so check it before the receipt status
+  if (replacement?.reason === 'cancelled') {
+    throw createReceiptError('Transaction was cancelled in your wallet. No payment was made.', {
+      cancelled: true,
+      hash: finalHash,
+      receipt
+    });
+  }
+  if (replacement?.reason === 'replaced') {
+    throw createReceiptError('Transaction was replaced by a different transaction in your wallet. No payment was made.', {
+      replaced: true,
+      hash: finalHash,
+      receipt
+    });
+  }
+
+  if (receipt.status !== 'success') {
+    const reason = await decodeRevertReason(wagmiConfig, {
+      hash: finalHash,
+      chainId,
+      blockNumber: receipt.blockNumber,
+      abi
+    });
+    throw createReceiptError(`Transaction reverted: ${reason}`, {
+      reverted: true,
+      reason,
+      hash: finalHash,
+      receipt
+    });
+  }
+
+  let confirmations = 1;
+  onConfirmation?.(confirmations, required);
+
+  while (confirmations < required) {
+    await new Promise(resolve => setTimeout(resolve, CONFIRMATION_POLL_INTERVAL));
+    confirmations = Number(await getTransactionConfirmations(wagmiConfig, { hash: finalHash, chainId }));
+    onConfirmation?.(Math.min(confirmations, required), required);
+  }
+
+  return receipt;
+};
+
+export default {
+  waitForReceiptWithReplacement,
+  decodeRevertReason,
+  waitForConfirmedReceipt
+};
@@ -0,0 +1,92 @@
+import { parseUnits, zeroAddress } from 'viem';
+import { isNativeTokenAddress } from './tokenUtils';
+import { serializeAdditionalRecipients } from './splitUtils';
+
+/**
+ * Payment Detail Reconciliation
+ *
+ * Compares the routing values a payment link carries with the backend's
+ * payment record. The backend is authoritative: any difference means the link
+ * is stale or was tampered with, and the payment must not go ahead.
+ * Only values present in the link are compared (minimal links carry none).
+ */
+
+const normalizeAddress = (value) => (value ? value.toLowerCase() : '');
+
+// Native coin placeholders (zero address, 0xEeee...) and a missing contract all mean "no token contract"
+const normalizeTokenContract = (value) => (!value || isNativeTokenAddress(value) ? '' : value.toLowerCase());
+
+// Basis points; backend percentages are floats (e.g. 0.3 * 100 = 30.000000000000004)
+const normalizeBasisPoints = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? String(Math.round(number)) : String(value);
+};
+
+// Canonical decimal string so "10", "10.0" and "010.00" compare equal
+const normalizeDecimal = (value) => {
+  const match = /^0*(\d*?)(?:\.(\d*?)0*)?$/.exec(String(value).trim());
+  if (!match) return String(value).trim();
+  const integerPart = match[1] || '0';
+  return match[2] ? `${integerPart}.${match[2]}` : integerPart;
+};
+
+// Amount in base units from the backend (exact value when provided, otherwise derived from the decimal amount)
+const getBackendAmountInWei = (backend) => {
+  if (backend.amountInWei) return String(backend.amountInWei);
+  if (!backend.amount || backend.tokenDecimals === undefined || backend.tokenDecimals === '') return undefined;
+  try {
+    return parseUnits(String(backend.amount), parseInt(backend.tokenDecimals)).toString();
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Field comparisons: how to read the backend value and how to normalize both sides
+const RECONCILED_FIELDS = [
+  { field: 'amount', normalize: normalizeDecimal },
+  { field: 'amountInWei', backendValue: getBackendAmountInWei, normalize: String },
+  { field: 'tokenContract', normalize: normalizeTokenContract, allowMissing: true },
+  { field: 'contractAddress', normalize: normalizeAddress },
+  { field: 'recipient1', normalize: normalizeAddress },
+  { field: 'recipient2', normalize: normalizeAddress },
+  // Two-way backend splits (merchant and platform) leave the third share empty
+  { field: 'recipient3', backendValue: (backend) => backend.recipient3 || zeroAddress, normalize: normalizeAddress },
+  { field: 'recipient1Percentage', normalize: normalizeBasisPoints },
+  { field: 'recipient2Percentage', normalize: normalizeBasisPoints },
+  { field: 'recipient3Percentage', backendValue: (backend) => backend.recipient3Percentage || '0', normalize: normalizeBasisPoints },
+  // recipient4 and beyond, compared as one `address:bps` list
+  { field: 'additionalRecipients', backendValue: serializeAdditionalRecipients, normalize: String }
+];
+
+/**
+ * Compare a payment link's values with the backend payment record
+ *
+ * @param {object} linkParams - Raw link values by field name (e.g. from getCanonicalLinkParams)
+ * @param {object} backendData - Backend payment mapped onto paymentData fields
+ * @returns {object} { matches, mismatches: [{ field, link, backend }] }
+ */
+export const reconcilePaymentDetails = (linkParams, backendData) => {
+  const mismatches = [];
+
+  RECONCILED_FIELDS.forEach(({ field, backendValue, normalize, allowMissing }) => {
+    const linkValue = linkParams[field];
+    if (linkValue === undefined || linkValue === null || linkValue === '') return;
+
+    const backend = backendValue ? backendValue(backendData) : backendData[field];
+    const backendMissing = backend === undefined || backend === null || backend === '';
+    if (backendMissing && !allowMissing) {
+      mismatches.push({ field, link: linkValue, backend: null });
+      return;
+    }
+
+    if (normalize(linkValue) !== normalize(backendMissing ? '' : backend)) {
+      mismatches.push({ field, link: linkValue, backend: backendMissing ? null : String(backend) });
+    }
+  });
+
+  return { matches: mismatches.length === 0, mismatches };
+};
+
+export default {
+  reconcilePaymentDetails
+};
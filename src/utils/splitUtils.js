@@ -0,0 +1,140 @@
+import { zeroAddress } from 'viem';
+
+/**
+ * Split Recipient Utilities
+ *
+ * Payment data keeps recipients as flat indexed fields (recipient1,
+ * recipient1Percentage, recipient2, ...) so links, signatures and payloads
+ * stay flat. Older splitter contracts take exactly three recipients in the
+ * splitPayment tuple; newer ones take `recipients` and `percentages` arrays,
+ * which are used whenever the contract ABI exposes them.
+ */
+
+// Recipients the three-field splitPayment tuple can hold
+export const LEGACY_RECIPIENT_COUNT = 3;
+
+const RECIPIENT_FIELD_PATTERN = /^recipient(\d+)(Percentage)?$/;
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Indexes of the recipients present in payment fields, in ascending order
+ *
+ * @param {object} fields - Payment data or link fields
+ * @returns {number[]}
+ */
+export const getRecipientIndexes = (fields) => {
+  const indexes = new Set();
+  Object.entries(fields || {}).forEach(([name, value]) => {
+    const match = RECIPIENT_FIELD_PATTERN.exec(name);
+    if (match && !isEmpty(value) && Number(match[1]) > 0) indexes.add(Number(match[1]));
+  });
+  return Array.from(indexes).sort((a, b) => a - b);
+};
+
+/**
+ * Recipients and their shares (basis points) from flat payment fields
+ *
+ * @param {object} fields - Payment data or link fields
+ * @returns {Array<{ index: number, address: string, percentage: string }>}
+ */
+export const getSplitRecipients = (fields) => getRecipientIndexes(fields).map(index => ({
+  index,
+  address: fields[`recipient${index}`] || '',
+  percentage: isEmpty(fields[`recipient${index}Percentage`]) ? '0' : String(fields[`recipient${index}Percentage`]).trim()
+}));
+
+/**
+ * Check whether payment fields carry recipients beyond the three-recipient tuple
+ *
+ * @param {object} fields - Payment data or link fields
+ * @returns {boolean}
+ */
+export const hasAdditionalRecipients = (fields) => getRecipientIndexes(fields).some(index => index > LEGACY_RECIPIENT_COUNT);
+
+/**
+ * Serialize the recipients beyond the third as `address:bps` pairs (lowercased, by index)
+ * Used where the fixed field lists (link signatures, reconciliation) need a single value
+ *
+ * @param {object} fields - Payment data or link fields
+ * @returns {string} Empty string when there are none
+ */
+export const serializeAdditionalRecipients = (fields) => getSplitRecipients(fields)
+  .filter(recipient => recipient.index > LEGACY_RECIPIENT_COUNT)
+  .map(recipient => `${recipient.address.toLowerCase()}:${recipient.percentage}`)
+  .join(',');
+
+/**
+ * Copy the recipient fields beyond the third from query parameters
+ *
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {object} { recipient4, recipient4Percentage, ... }
+ */
+export const getAdditionalRecipientParams = (searchParams) => {
+  const fields = {};
+  searchParams.forEach((value, name) => {
+    const match = RECIPIENT_FIELD_PATTERN.exec(name);
+    if (match && Number(match[1]) > LEGACY_RECIPIENT_COUNT && value.trim() !== '') {
+      fields[name] = value.trim();
+    }
+  });
+  return fields;
+};
+
+/**
+ * Flatten a backend recipients list into indexed payment fields
+ * Backend shares are percentages (99.7 = 9970 basis points), like merchantPercentage.
+ * Short lists are padded with empty shares so the three-recipient fields are always set.
+ *
+ * @param {Array<{ wallet: string, percentage: number }>} recipients - Backend recipients in split order
+ * @returns {object} { recipient1, recipient1Percentage, ... }
+ */
+export const flattenBackendRecipients = (recipients) => {
+  const fields = {};
+  for (let position = 0; position < Math.max(recipients.length, LEGACY_RECIPIENT_COUNT); position++) {
+    const recipient = recipients[position];
+    fields[`recipient${position + 1}`] = recipient ? recipient.wallet : zeroAddress;
+    fields[`recipient${position + 1}Percentage`] = recipient ? Math.round(recipient.percentage * 100).toString() : '0';
+  }
+  return fields;
+};
+
+/**
+ * Check whether a splitter ABI takes recipient arrays in its splitPayment tuple
+ *
+ * @param {Array} abi - Splitter contract ABI
+ * @returns {boolean}
+ */
+export const supportsRecipientArrays = (abi) => {
+  const splitPayment = (abi || []).find(item => item.type === 'function' && item.name === 'splitPayment');
+  const components = splitPayment?.inputs?.[0]?.components || [];
+  return components.some(component => component.name === 'recipients' && component.type === 'address[]') &&
+    components.some(component => component.name === 'percentages' && component.type === 'uint256[]');
+};
+
+/**
+ * Build the recipients/percentages arrays for array-based splitters
+ * Recipients without a share are left out
+ *
+ * @param {object} fields - Payment data
+ * @returns {object} { recipients: string[], percentages: bigint[] }
+ */
+export const buildRecipientArrays = (fields) => {
+  const recipients = getSplitRecipients(fields).filter(recipient => recipient.address && BigInt(recipient.percentage) > 0n);
+  return {
+    recipients: recipients.map(recipient => recipient.address),
+    percentages: recipients.map(recipient => BigInt(recipient.percentage))
+  };
+};
+
+export default {
+  LEGACY_RECIPIENT_COUNT,
+  getRecipientIndexes,
+  getSplitRecipients,
+  hasAdditionalRecipients,
+  serializeAdditionalRecipients,
+  getAdditionalRecipientParams,
+  flattenBackendRecipients,
+  supportsRecipientArrays,
+  buildRecipientArrays
+};
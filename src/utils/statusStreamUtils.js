@@ -0,0 +1,103 @@
+import { normalizePaymentStatus } from './apiClient';
+
+/**
+ * Payment Status Updates
+ *
+ * Subscribes to the backend's Server-Sent Events stream of a payment's
+ * status, so the screen can move on as soon as the backend confirms the
+ * payment. When the stream can't be opened (no EventSource, the endpoint
+ * is missing, or the connection is refused) or is closed for good, the
+ * subscription falls back to polling the status endpoint.
+ */
+
+export const STATUS_UPDATE_MODES = {
+  STREAM: 'stream',
+  POLLING: 'polling'
+};
+
+// Milliseconds between status checks when polling
+export const STATUS_POLL_INTERVAL_MS = 3000;
+
+/**
+ * Subscribe to status updates of a payment
+ *
+ * @param {object} client - API client (see createApiClient)
+ * @param {string} paymentId - Payment ID
+ * @param {object} handlers - { onStatus(status) with a normalized status response, onModeChange(mode),
+ *   onLog(type, message, data), pollIntervalMs }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToPaymentStatus = (client, paymentId, {
+  onStatus,
+  onModeChange = () => {},
+  onLog = () => {},
+  pollIntervalMs = STATUS_POLL_INTERVAL_MS
+}) => {
+  let closed = false;
+  let source = null;
+  let pollTimeout = null;
+
+  const poll = async () => {
+    try {
+      const status = await client.checkPaymentStatus(paymentId);
+      if (!closed) onStatus(status);
+    } catch (error) {
+      onLog('warning', '⏳ Payment status check failed', { error: error.message });
+    }
+    if (!closed) pollTimeout = setTimeout(poll, pollIntervalMs);
+  };
+
+  const startPolling = (reason) => {
+    if (closed) return;
+    if (source) source.close();
+    source = null;
+
+    onLog('info', `🔁 Polling payment status every ${pollIntervalMs / 1000}s`, { paymentId, reason });
+    onModeChange(STATUS_UPDATE_MODES.POLLING);
+    poll();
+  };
+
+  if (typeof EventSource === 'undefined') {
+    startPolling('EventSource not supported');
+  } else {
+    let opened = false;
+    source = new EventSource(client.getStatusStreamUrl(paymentId));
+
+    source.onopen = () => {
+      opened = true;
+      onLog('info', '📡 Payment status stream open', { paymentId });
+      onModeChange(STATUS_UPDATE_MODES.STREAM);
+    };
+
+    source.addEventListener('status', (event) => {
+      let status;
+      try {
+        status = normalizePaymentStatus(JSON.parse(event.data));
+      } catch (error) {
+        onLog('warning', '📡 Unreadable payment status event', { data: event.data });
+        return;
+      }
+      if (!closed) onStatus(status);
+    });
+
+    // Before the stream opens any error means it isn't available; afterwards EventSource
+    // reconnects by itself unless it has closed the stream for good
+    source.onerror = () => {
+      if (!source) return;
+      if (!opened) startPolling('stream could not be opened');
+      else if (source.readyState === EventSource.CLOSED) startPolling('stream closed');
+    };
+  }
+
+  return () => {
+    closed = true;
+    if (source) source.close();
+    clearTimeout(pollTimeout);
+  };
+};
+
+export default {
+  STATUS_UPDATE_MODES,
+  STATUS_POLL_INTERVAL_MS,
+  subscribeToPaymentStatus
+};
@@ -0,0 +1,112 @@
+import { zeroAddress } from 'viem';
+import { config } from '../wagmiConfig';
+
+/**
+ * Token Utilities for Native Coin and ERC-20 Payments
+ *
+ * Backends describe a native coin payment (ETH, BNB, MATIC, AVAX, CELO)
+ * either with an explicit isNative flag or with a placeholder token address.
+ */
+
+// Placeholder addresses used in place of a token contract for native coins
+export const NATIVE_TOKEN_ADDRESSES = [
+  zeroAddress,
+  '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee'
+];
+
+// Stablecoin deployments on each configured chain, used to find the payer's balance elsewhere
+export const KNOWN_TOKENS = {
+  USDC: {
+    1: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+    56: { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', decimals: 18 },
+    137: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 },
+    42161: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 },
+    10: { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6 },
+    43114: { address: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E', decimals: 6 },
+    42220: { address: '0xcebA9300f2b948710d2653dD7B07f33A8B32118C', decimals: 6 }
+  },
+  USDT: {
+    1: { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 },
+    56: { address: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 },
+    137: { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', decimals: 6 },
+    42161: { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6 },
+    10: { address: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', decimals: 6 },
+    43114: { address: '0x9702230A8Ea53601f5cD2dc00fDBc13d4dF4A8c7', decimals: 6 },
+    42220: { address: '0x48065fbBE25f71C9282ddf5e1cD6D6A887483D5e', decimals: 6 }
+  }
+};
+
+/**
+ * Get the native currency of a configured chain
+ *
+ * @param {number|string} chainId - Chain ID
+ * @returns {object|null} { name, symbol, decimals } or null for unknown chains
+ */
+export const getNativeCurrency = (chainId) => {
+  const chain = config.chains.find(c => c.id === parseInt(chainId));
+  return chain?.nativeCurrency || null;
+};
+
+/**
+ * Check whether a token address is a native coin placeholder
+ *
+ * @param {string} tokenAddress - Token contract address
+ * @returns {boolean}
+ */
+export const isNativeTokenAddress = (tokenAddress) => {
+  if (!tokenAddress) return false;
+  return NATIVE_TOKEN_ADDRESSES.includes(tokenAddress.toLowerCase());
+};
+
+/**
+ * Check whether payment data describes a native coin payment
+ *
+ * @param {object} paymentData - Payment data from URL params or backend
+ * @returns {boolean}
+ */
+export const isNativeTokenPayment = (paymentData) => {
+  if (!paymentData) return false;
+
+  if (paymentData.isNative === true || paymentData.isNative === 'true') {
+    return true;
+  }
+
+  if (isNativeTokenAddress(paymentData.tokenContract)) {
+    return true;
+  }
+
+  // No token contract at all, but the token symbol is the chain's native coin
+  const nativeCurrency = getNativeCurrency(paymentData.chainId);
+  return !paymentData.tokenContract &&
+         !!nativeCurrency &&
+         paymentData.token?.toUpperCase() === nativeCurrency.symbol.toUpperCase();
+};
+
+/**
+ * Resolve a token symbol on a given chain
+ *
+ * @param {string} symbol - Token symbol (e.g. USDC, ETH)
+ * @param {number|string} chainId - Chain ID
+ * @returns {object|null} { address, decimals, isNative } or null when the token is not available there
+ */
+export const getTokenOnChain = (symbol, chainId) => {
+  if (!symbol) return null;
+  const upperSymbol = symbol.toUpperCase();
+
+  const nativeCurrency = getNativeCurrency(chainId);
+  if (nativeCurrency?.symbol.toUpperCase() === upperSymbol) {
+    return { address: zeroAddress, decimals: nativeCurrency.decimals, isNative: true };
+  }
+
+  const token = KNOWN_TOKENS[upperSymbol]?.[parseInt(chainId)];
+  return token ? { ...token, isNative: false } : null;
+};
+
+export default {
+  NATIVE_TOKEN_ADDRESSES,
+  KNOWN_TOKENS,
+  getNativeCurrency,
+  isNativeTokenAddress,
+  isNativeTokenPayment,
+  getTokenOnChain
+};
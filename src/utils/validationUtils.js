@@ -0,0 +1,198 @@
+import { isAddress, zeroAddress } from 'viem';
+// Explicit extension: test-alignment.js loads this module with plain node
+import { LEGACY_RECIPIENT_COUNT, getRecipientIndexes } from './splitUtils.js';
+
+/**
+ * Payment Parameter Validation
+ *
+ * Schema-driven checks shared by both payment flows. Every violation carries
+ * an error code so the error screens can show exactly what is wrong with a link.
+ * Empty fields are skipped unless listed in `required`, because links only
+ * carry the fields the backend doesn't supply.
+ */
+
+export const VALIDATION_ERRORS = {
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_ADDRESS: 'INVALID_ADDRESS',
+  INVALID_CHECKSUM: 'INVALID_CHECKSUM',
+  ZERO_ADDRESS: 'ZERO_ADDRESS',
+  INVALID_PERCENTAGE: 'INVALID_PERCENTAGE',
+  PERCENTAGE_SUM: 'PERCENTAGE_SUM_MISMATCH',
+  INVALID_DECIMALS: 'INVALID_DECIMALS',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  UNSUPPORTED_CHAIN: 'UNSUPPORTED_CHAIN'
+};
+
+// Split shares are basis points and must add up to the whole payment
+export const TOTAL_BASIS_POINTS = 10000;
+
+// Highest token decimals accepted (ERC-20 allows uint8, real tokens stay far below this)
+export const MAX_TOKEN_DECIMALS = 36;
+
+// Fields needed before a payment can be executed (after backend details are merged in)
+export const COMPLETE_PAYMENT_FIELDS = ['paymentId', 'contractAddress', 'chainId', 'recipient1', 'amount'];
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const INTEGER_PATTERN = /^\d+$/;
+
+/**
+ * Check an address: 0x + 40 hex characters, with a valid EIP-55 checksum when mixed case
+ *
+ * @param {string} value - Address to check
+ * @returns {string|null} Error code, or null when valid
+ */
+export const checkAddress = (value) => {
+  if (!isAddress(value, { strict: false })) return VALIDATION_ERRORS.INVALID_ADDRESS;
+  // All-lowercase and all-uppercase addresses carry no checksum (EIP-55)
+  const hex = value.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return null;
+  return isAddress(value, { strict: true }) ? null : VALIDATION_ERRORS.INVALID_CHECKSUM;
+};
+
+// Field type checks: each returns { code, message } or null
+const FIELD_TYPES = {
+  address: (value, field, rule) => {
+    const code = checkAddress(value);
+    if (code === VALIDATION_ERRORS.INVALID_ADDRESS) {
+      return { code, message: `${field} is not a valid address` };
+    }
+    if (code === VALIDATION_ERRORS.INVALID_CHECKSUM) {
+      return { code, message: `${field} has an invalid EIP-55 checksum (the address may be mistyped)` };
+    }
+    if (!rule.allowZero && value.toLowerCase() === zeroAddress) {
+      return { code: VALIDATION_ERRORS.ZERO_ADDRESS, message: `${field} must not be the zero address` };
+    }
+    return null;
+  },
+
+  basisPoints: (value, field) => (
+    INTEGER_PATTERN.test(value) && Number(value) <= TOTAL_BASIS_POINTS
+      ? null
+      : { code: VALIDATION_ERRORS.INVALID_PERCENTAGE, message: `${field} must be a whole number of basis points between 0 and ${TOTAL_BASIS_POINTS}` }
+  ),
+
+  decimals: (value, field) => (
+    INTEGER_PATTERN.test(value) && Number(value) <= MAX_TOKEN_DECIMALS
+      ? null
+      : { code: VALIDATION_ERRORS.INVALID_DECIMALS, message: `${field} must be an integer between 0 and ${MAX_TOKEN_DECIMALS}` }
+  ),
+
+  amount: (value, field) => (
+    DECIMAL_PATTERN.test(value) && /[1-9]/.test(value)
+      ? null
+      : { code: VALIDATION_ERRORS.INVALID_AMOUNT, message: `${field} must be a positive decimal number` }
+  ),
+
+  baseUnits: (value, field) => (
+    INTEGER_PATTERN.test(value) && /[1-9]/.test(value)
+      ? null
+      : { code: VALIDATION_ERRORS.INVALID_AMOUNT, message: `${field} must be a positive whole number of base units` }
+  ),
+
+  chainId: (value, field, rule, { supportedChainIds }) => {
+    if (!INTEGER_PATTERN.test(value)) {
+      return { code: VALIDATION_ERRORS.UNSUPPORTED_CHAIN, message: `${field} must be a numeric chain ID` };
+    }
+    if (supportedChainIds && !supportedChainIds.includes(Number(value))) {
+      return { code: VALIDATION_ERRORS.UNSUPPORTED_CHAIN, message: `Chain ${value} is not supported` };
+    }
+    return null;
+  }
+};
+
+// Payment parameter schema
+export const PAYMENT_PARAM_SCHEMA = {
+  paymentId: { type: null },
+  chainId: { type: 'chainId' },
+  contractAddress: { type: 'address' },
+  // Native coin payments use the zero address as a token placeholder
+  tokenContract: { type: 'address', allowZero: true },
+  recipient1: { type: 'address' },
+  // Unused shares point at the zero address
+  recipient2: { type: 'address', allowZero: true },
+  recipient3: { type: 'address', allowZero: true },
+  recipient1Percentage: { type: 'basisPoints' },
+  recipient2Percentage: { type: 'basisPoints' },
+  recipient3Percentage: { type: 'basisPoints' },
+  tokenDecimals: { type: 'decimals' },
+  amount: { type: 'amount' },
+  amountInWei: { type: 'baseUnits' }
+};
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Validate payment parameters
+ *
+ * @param {object} params - Payment data (URL params or merged backend details)
+ * @param {object} options - { required: field names that must be present, supportedChainIds: number[] }
+ * @returns {object} { isValid, error, code, errors: [{ code, field, message }], missingParams }
+ */
+export const validatePaymentParams = (params, { required = [], supportedChainIds } = {}) => {
+  const errors = [];
+
+  required.forEach(field => {
+    if (isEmpty(params[field])) {
+      errors.push({ code: VALIDATION_ERRORS.MISSING_FIELD, field, message: `${field} is required` });
+    }
+  });
+
+  Object.entries(PAYMENT_PARAM_SCHEMA).forEach(([field, rule]) => {
+    const value = params[field];
+    if (!rule.type || isEmpty(value)) return;
+
+    const violation = FIELD_TYPES[rule.type](String(value).trim(), field, rule, { supportedChainIds });
+    if (violation) errors.push({ ...violation, field });
+  });
+
+  // Recipients beyond the third (marketplace splits) follow the same rules and need a wallet for their share
+  const recipientIndexes = getRecipientIndexes(params);
+  recipientIndexes.filter(index => index > LEGACY_RECIPIENT_COUNT).forEach(index => {
+    const addressField = `recipient${index}`;
+    const percentageField = `recipient${index}Percentage`;
+
+    if (isEmpty(params[addressField])) {
+      errors.push({ code: VALIDATION_ERRORS.MISSING_FIELD, field: addressField, message: `${addressField} is required for ${percentageField}` });
+    } else {
+      const violation = FIELD_TYPES.address(String(params[addressField]).trim(), addressField, {});
+      if (violation) errors.push({ ...violation, field: addressField });
+    }
+
+    const violation = FIELD_TYPES.basisPoints(isEmpty(params[percentageField]) ? '' : String(params[percentageField]).trim(), percentageField);
+    if (violation) errors.push({ ...violation, field: percentageField });
+  });
+
+  // Shares must cover exactly the whole payment (checked once the primary share is known)
+  const percentagesValid = !errors.some(error => error.code === VALIDATION_ERRORS.INVALID_PERCENTAGE);
+  if (percentagesValid && !isEmpty(params.recipient1Percentage)) {
+    const total = recipientIndexes.reduce((sum, index) => {
+      const share = params[`recipient${index}Percentage`];
+      return sum + (isEmpty(share) ? 0 : Number(share));
+    }, 0);
+    if (total !== TOTAL_BASIS_POINTS) {
+      errors.push({
+        code: VALIDATION_ERRORS.PERCENTAGE_SUM,
+        field: 'recipient1Percentage',
+        message: `Recipient percentages add up to ${total} basis points instead of ${TOTAL_BASIS_POINTS}`
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0].message : null,
+    code: errors.length > 0 ? errors[0].code : null,
+    errors,
+    missingParams: errors.filter(error => error.code === VALIDATION_ERRORS.MISSING_FIELD).map(error => error.field)
+  };
+};
+
+export default {
+  VALIDATION_ERRORS,
+  TOTAL_BASIS_POINTS,
+  MAX_TOKEN_DECIMALS,
+  COMPLETE_PAYMENT_FIELDS,
+  PAYMENT_PARAM_SCHEMA,
+  checkAddress,
+  validatePaymentParams
+};
@@ -207,6 +207,9 @@ export const config = createConfig({
   },
 });
 
+// Chains the payment screen can pay on (link chain IDs are validated against these)
+export const SUPPORTED_CHAIN_IDS = config.chains.map(chain => chain.id);
+
 // Chain ID mapping for network names from URL params
 export const networkToChainId = {
   'Ethereum Mainnet': mainnet.id,
@@ -231,4 +234,24 @@ export const getChainByNetwork = (networkName) => {
     case celo.id: return celo;
     default: return mainnet;
   }
-};
\ No newline at end of file
+};
+// Get network name (as used in URL params) by chain ID
+export const getNetworkNameByChainId = (chainId) => {
+  const entry = Object.entries(networkToChainId).find(([, id]) => id === parseInt(chainId));
+  return entry ? entry[0] : null;
+};
+
+// Confirmations required before a payment is shown as successful
+// Chains with probabilistic finality or frequent short reorgs wait for more blocks
+export const chainConfirmations = {
+  [mainnet.id]: 2,
+  [bsc.id]: 3,
+  [polygon.id]: 5,
+  [arbitrum.id]: 1,
+  [optimism.id]: 1,
+  [avalanche.id]: 1,
+  [celo.id]: 1,
+};
+
+// Get required confirmations for a chain ID (defaults to 1 for unknown chains)
+export const getRequiredConfirmations = (chainId) => chainConfirmations[parseInt(chainId)] || 1;
@@ -1,6 +1,9 @@
 // Platform Alignment Test for Mobile Payment Flow
 // This script validates that all components are properly aligned
 
+import { checkAddress, validatePaymentParams } from './src/utils/validationUtils.js';
+import { SUPPORTED_CHAIN_IDS } from './src/wagmiConfig.js';
+
 console.log('🔍 Starting Coinley Platform Alignment Test...\n');
 
 // Test 1: Validate environment variables
@@ -40,13 +43,19 @@ const testAddresses = {
     invalidAddress: '0x123invalid'
 };
 
-const addressRegex = /^0x[a-fA-F0-9]{40}$/;
-
 Object.entries(testAddresses).forEach(([name, address]) => {
-    const isValid = addressRegex.test(address);
-    console.log(`   ${name}: ${isValid ? '✅ Valid' : '❌ Invalid'} (${address})`);
+    const errorCode = checkAddress(address);
+    console.log(`   ${name}: ${errorCode ? `❌ Invalid [${errorCode}]` : '✅ Valid'} (${address})`);
 });
 
+console.log('   Split parameters:');
+const splitValidation = validatePaymentParams({
+    ...params,
+    recipient1Percentage: '9970',
+    recipient2Percentage: '30'
+}, { required: ['paymentId'], supportedChainIds: SUPPORTED_CHAIN_IDS });
+console.log(`   Percentages sum to 10000 bps: ${splitValidation.isValid ? '✅' : `❌ ${splitValidation.errors.map(e => e.code).join(', ')}`}`);
+
 // Test 4: Mobile detection patterns
 console.log('\n4. Mobile Detection Test:');
 const userAgents = [
@@ -0,0 +1,253 @@
+// Payment State Machine Test
+// Drives the payment store through the step changes the payment flow makes, then checks the guards and machine hooks
+
+import { register } from 'node:module';
+import { PAYMENT_FLOW, getTransitionError, createPaymentMachine } from './src/utils/paymentStateMachine.js';
+
+// The app's modules import each other without extensions (Vite resolves them); add .js for plain node
+register('data:text/javascript,' + encodeURIComponent(`
+export async function resolve(specifier, context, next) {
+    const extensionless = /^\\.{1,2}\\//.test(specifier) && !/\\.\\w+$/.test(specifier);
+    return next(extensionless ? specifier + '.js' : specifier, context);
+}`), import.meta.url);
+
+// The store persists to localStorage; keep it in memory here
+const memoryStorage = new Map();
+globalThis.localStorage = {
+    getItem: (key) => memoryStorage.get(key) ?? null,
+    setItem: (key, value) => memoryStorage.set(key, String(value)),
+    removeItem: (key) => memoryStorage.delete(key)
+};
+
+const { default: usePaymentStore } = await import('./src/stores/paymentStore.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(label, ok, detail = '') {
+    if (ok) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`   ❌ ${label}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+// Context that satisfies every guard
+const fullContext = {
+    paymentData: { paymentId: 'test123', amount: '100.00' },
+    transactionHash: '0x' + 'ab'.repeat(32),
+    amountMismatch: { type: 'underpaid', difference: '1.00' }
+};
+
+const store = () => usePaymentStore.getState();
+const lastLogEntry = () => store().transitionLog[store().transitionLog.length - 1];
+
+// Apply a sequence of [step, context] moves, checking each one lands where expected
+function drive(label, moves) {
+    moves.forEach(([step, context]) => {
+        const moved = store().transitionTo(step, context);
+        check(`${label}: → ${step}`, moved && store().currentStep === step, lastLogEntry()?.rejected);
+    });
+}
+
+// Expect a move to be refused, logged, and to leave the step and state untouched
+function expectRefused(label, step, context = {}, changes = {}) {
+    const before = store().currentStep;
+    const moved = store().transitionTo(step, context, changes);
+    const entry = lastLogEntry();
+    check(`${label}: ${before} → ${step} refused`, !moved && store().currentStep === before);
+    check(`${label}: refusal logged`, entry?.to === step && !!entry.rejected, JSON.stringify(entry));
+    Object.keys(changes).forEach(key => check(`${label}: ${key} not applied`, store()[key] !== changes[key]));
+    console.log(`   ${label}: ${before} → ${step} refused (${entry?.rejected})`);
+}
+
+// Reset the store and load a payment the way initializePayment does, up to the point where it picks the next step
+function loadPayment(paymentData = fullContext.paymentData) {
+    store().reset();
+    store().setCurrentStep('loading');
+    store().setPaymentData(paymentData);
+}
+
+function startPayment(paymentData = fullContext.paymentData) {
+    loadPayment(paymentData);
+    store().setCurrentStep('connection');
+}
+
+// Every step change the store makes, to check at the end that each transition of the flow was exercised
+const coveredTransitions = new Set();
+usePaymentStore.subscribe((state, previous) => {
+    if (state.currentStep !== previous.currentStep) coveredTransitions.add(`${previous.currentStep} → ${state.currentStep}`);
+});
+
+console.log('🚦 Starting Payment State Machine Test...\n');
+
+// Test 1: Step changes the payment flow makes, through the store
+console.log('1. Payment flow through the store:');
+
+// Details must be loaded before connecting
+store().reset();
+store().setCurrentStep('loading');
+expectRefused('init without details', 'connection');
+store().setPaymentData(fullContext.paymentData);
+drive('init', [['connection'], ['confirmation']]);
+
+// Wallet payment: confirmation → processing → success once the split has a hash
+store().setTransactionStep('splitPayment');
+drive('wallet payment', [['processing']]);
+expectRefused('wallet payment without hash', 'success');
+store().saveInFlightPayment('test123', { step: 'splitPayment', splitHash: fullContext.transactionHash });
+drive('wallet payment', [['success', { transactionHash: fullContext.transactionHash }]]);
+check('success clears the in-flight record', store().getInFlightPayment('test123') === null);
+
+// Entering confirmation resets the transaction step (next installment)
+store().setTransactionStep('confirming');
+store().startNextInstallment();
+check('next installment returns to confirmation', store().currentStep === 'confirmation');
+check('confirmation resets the transaction step', store().transactionStep === 'idle');
+check('next installment clears the hash', store().transactionHash === null);
+
+// Wallet app payment: confirmation → awaitingVerification → success confirmed by the backend
+startPayment();
+drive('wallet app payment', [['confirmation'], ['awaitingVerification']]);
+expectRefused('verification without settlement', 'success');
+drive('wallet app payment', [['success', { confirmed: true }]]);
+
+// Amount mismatch: awaitingVerification → amountMismatch → processing (top-up) → success
+startPayment();
+drive('mismatch', [['confirmation'], ['awaitingVerification']]);
+expectRefused('mismatch without amounts', 'amountMismatch', {}, { error: 'should not be set' });
+store().setAmountMismatch(fullContext.amountMismatch);
+drive('mismatch', [['amountMismatch'], ['processing'], ['success', { transactionHash: fullContext.transactionHash }]]);
+
+// Payer never sent the resumed payment: awaitingVerification → connection
+startPayment();
+drive('restart', [['confirmation'], ['awaitingVerification'], ['connection']]);
+
+// Errors stop processing; retry goes back to confirmation
+startPayment();
+drive('error', [['confirmation'], ['processing']]);
+store().setProcessing(true);
+store().showError('Transaction rejected');
+check('showError moves to error', store().currentStep === 'error' && store().error === 'Transaction rejected');
+check('error stops processing', store().processing === false);
+store().retryFromError();
+check('retry returns to confirmation and clears the error', store().currentStep === 'confirmation' && store().error === null);
+
+// Retrying after the receipt wait failed must not send the payment again: it waits for the backend instead
+drive('error after sending', [['processing']]);
+store().saveInFlightPayment('test123', { step: 'splitPayment', splitHash: fullContext.transactionHash });
+store().showError('Timed out waiting for the transaction');
+store().retryFromError();
+check('retry after sending awaits verification', store().currentStep === 'awaitingVerification' && store().error === null);
+store().clearInFlightPayment('test123');
+
+// Expired payments stay expired
+startPayment();
+drive('expiry', [['expired']]);
+expectRefused('expired payment', 'confirmation');
+startPayment();
+drive('expiry at confirmation', [['confirmation'], ['expired']]);
+
+// Provider detection: the wallet's provider shows up late, never, or detection fails
+store().reset();
+drive('provider timeout', [['providerTimeout'], ['loading']]);
+store().reset();
+drive('provider timeout error', [['providerTimeout'], ['error']]);
+store().reset();
+drive('provider error', [['error']]);
+
+// Errors before the payment loaded have nothing to retry: "Try Again" reloads the page
+let reloads = 0;
+globalThis.window = { location: { reload: () => { reloads++; } } };
+const logLengthBeforeReload = store().transitionLog.length;
+store().retryFromError();
+check('retry without payment details reloads the page', reloads === 1 && store().currentStep === 'error');
+check('reload is not a refused move', store().transitionLog.length === logLengthBeforeReload);
+delete globalThis.window;
+
+// Resumed payments: loading → processing (hash known), awaitingVerification (no hash), success, or error
+loadPayment();
+drive('resume sent payment', [['processing'], ['success', { transactionHash: fullContext.transactionHash }]]);
+loadPayment();
+drive('resume unconfirmed payment', [['awaitingVerification']]);
+loadPayment();
+drive('resume settled payment', [['success', { transactionHash: fullContext.transactionHash }]]);
+loadPayment();
+drive('resume failed', [['error']]);
+
+// Failures while connecting, before sending, while waiting for the backend and while resolving a mismatch
+startPayment();
+drive('connection error', [['error']]);
+startPayment();
+drive('invoice total error', [['confirmation'], ['error']]);
+startPayment();
+drive('verification error', [['confirmation'], ['awaitingVerification'], ['error']]);
+startPayment();
+store().setAmountMismatch(fullContext.amountMismatch);
+drive('overpayment resolved', [['confirmation'], ['awaitingVerification'], ['amountMismatch'], ['success', { confirmed: true }]]);
+startPayment();
+store().setAmountMismatch(fullContext.amountMismatch);
+drive('top-up error', [['confirmation'], ['awaitingVerification'], ['amountMismatch'], ['error']]);
+
+// Moves the flow never makes
+startPayment();
+expectRefused('skip to processing', 'processing');
+expectRefused('unknown step', 'nowhere');
+check('log keeps applied and refused moves in order', store().transitionLog.map(entry => entry.to).join(',') === 'loading,connection,processing,nowhere',
+    store().transitionLog.map(entry => entry.to).join(','));
+
+const uncovered = Object.entries(PAYMENT_FLOW.transitions)
+    .flatMap(([from, targets]) => targets.map(to => `${from} → ${to}`))
+    .filter(transition => !coveredTransitions.has(transition));
+check('every transition of the flow is exercised', uncovered.length === 0, uncovered.join(', '));
+
+// Test 2: Guards refuse moves the payment context doesn't support
+console.log('\n2. Guards:');
+const guardCases = [
+    ['processing', 'success', { transactionHash: '' }, false],
+    ['processing', 'success', { transactionHash: '0xabc' }, true],
+    ['awaitingVerification', 'success', { confirmed: true }, true],
+    ['loading', 'connection', { paymentData: null }, false],
+    ['error', 'confirmation', { paymentData: null }, false],
+    ['awaitingVerification', 'amountMismatch', { amountMismatch: null }, false],
+    ['amountMismatch', 'processing', { paymentData: null }, false],
+    ['expired', 'processing', fullContext, false],
+    ['confirmation', 'nowhere', fullContext, false]
+];
+
+guardCases.forEach(([from, to, context, allowed]) => {
+    const error = getTransitionError(PAYMENT_FLOW, from, to, context);
+    check(`${from} → ${to}`, allowed ? error === null : error !== null, error || 'allowed');
+    console.log(`   ${from} → ${to}: ${error ? `refused (${error})` : 'allowed'}`);
+});
+
+// Test 3: Hooks run in order and the log keeps refused moves
+console.log('\n3. Machine hooks and transition log:');
+const calls = [];
+const machine = createPaymentMachine(PAYMENT_FLOW, {
+    onExit: { loading: () => calls.push('exit loading') },
+    onEnter: { connection: () => calls.push('enter connection') },
+    onTransition: (entry) => calls.push(`transition ${entry.from} → ${entry.to}`),
+    onRejected: (entry) => calls.push(`rejected ${entry.to}`),
+    logLimit: 3
+});
+
+check('starts at the initial step', machine.state === 'waitingForProvider');
+check('moves to loading', machine.transition('loading', fullContext));
+check('re-entering the current step is a no-op', machine.transition('loading', fullContext) && machine.log.length === 1);
+check('moves to connection', machine.transition('connection', fullContext));
+check('refuses success without a hash', !machine.transition('success', {}) && machine.state === 'connection');
+check('hooks run exit, enter, then transition', JSON.stringify(calls.slice(1, 4)) === JSON.stringify([
+    'exit loading', 'enter connection', 'transition loading → connection'
+]), calls.join(', '));
+check('refused move is reported', calls[calls.length - 1] === 'rejected success');
+check('log records the refused move', machine.log[machine.log.length - 1].rejected === 'connection cannot move to success');
+check('can() matches transition()', machine.can('confirmation', fullContext) && !machine.can('success', fullContext));
+machine.transition('confirmation', fullContext);
+check('log keeps the last logLimit entries', machine.log.length === 3 && machine.log[0].to === 'connection');
+machine.reset();
+check('reset returns to the initial step with an empty log', machine.state === 'waitingForProvider' && machine.log.length === 0);
+console.log(`   Hook calls: ${calls.join(', ')}`);
+
+console.log(`\n${failed === 0 ? '✅' : '❌'} ${passed} checks passed, ${failed} failed`);
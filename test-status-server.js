@@ -0,0 +1,170 @@
+// Payment Status Test Server
+// Stands in for the backend so the payment status stream, its polling fallback and the awaiting-verification
+// screen can be tried locally. Every payment ID is a 0.01 POL payment on Polygon.
+//
+//   1. node test-status-server.js
+//   2. VITE_COINLEY_API_URL=http://localhost:8787 npm run dev
+//   3. Open http://localhost:5173/?paymentId=test-1 with a wallet extension, connect and pay. When the wallet
+//      asks to confirm the split transaction, reload the page WITHOUT confirming (the splitter here is a
+//      placeholder address): the payment resumes on the awaiting-verification screen.
+//   4. From another terminal, settle it (or underpay it to get the amount mismatch screen):
+//
+//   curl -X POST localhost:8787/test/payments/test-1 -d '{"status":"completed","transactionHash":"0xabc"}'
+//   curl -X POST localhost:8787/test/payments/test-1 -d '{"status":"completed","amountPaid":"0.005"}'
+//   curl -X POST localhost:8787/test/stream -d '{"enabled":false}'   (stream refused: the app falls back to polling)
+
+import http from 'node:http';
+
+const PORT = 8787;
+const HEARTBEAT_MS = 15000;
+
+const payments = new Map(); // paymentId -> payment record
+const streams = new Map(); // paymentId -> Set of open SSE responses
+let streamEnabled = true;
+
+// Placeholder splitter: the wallet would send funds here, so never confirm a transaction to it
+const SPLITTER_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+// Three-recipient splitter (splitPayment takes one payment details tuple)
+const SPLITTER_ABI = [{
+    type: 'function',
+    name: 'splitPayment',
+    stateMutability: 'payable',
+    outputs: [],
+    inputs: [{
+        name: 'paymentDetails',
+        type: 'tuple',
+        components: [
+            { name: 'token', type: 'address' },
+            { name: 'amount', type: 'uint256' },
+            { name: 'paymentId', type: 'string' },
+            { name: 'recipient1', type: 'address' },
+            { name: 'recipient2', type: 'address' },
+            { name: 'recipient3', type: 'address' },
+            { name: 'recipient1Percentage', type: 'uint256' },
+            { name: 'recipient2Percentage', type: 'uint256' },
+            { name: 'recipient3Percentage', type: 'uint256' }
+        ]
+    }]
+}];
+
+// Backend payment record; POST /test/payments/<id> overrides any field
+const createPayment = (paymentId) => ({
+    id: paymentId,
+    status: 'pending',
+    amount: '0.01',
+    splitterContractAddress: SPLITTER_ADDRESS,
+    merchantWallet: '0x1111111111111111111111111111111111111111',
+    coinleyWallet: '0x2222222222222222222222222222222222222222',
+    merchantPercentage: 99,
+    coinleyPercentage: 1,
+    Token: { symbol: 'POL', decimals: 18, isNative: true },
+    Network: { chainId: 137, name: 'Polygon' },
+    Merchant: { businessName: 'Test Merchant' }
+});
+
+const getPayment = (paymentId) => ({ ...createPayment(paymentId), ...payments.get(paymentId) });
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(data ? JSON.parse(data) : {});
+        } catch (error) {
+            resolve({});
+        }
+    });
+});
+
+const pushStatus = (paymentId) => {
+    const event = `event: status\ndata: ${JSON.stringify({ success: true, payment: getPayment(paymentId) })}\n\n`;
+    (streams.get(paymentId) || new Set()).forEach((res) => res.write(event));
+};
+
+const openStream = (req, res, paymentId) => {
+    if (!streamEnabled) {
+        sendJson(res, 503, { success: false, message: 'Status stream disabled' });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    if (!streams.has(paymentId)) streams.set(paymentId, new Set());
+    streams.get(paymentId).add(res);
+    console.log(`📡 Stream opened for ${paymentId} (${streams.get(paymentId).size} open)`);
+
+    // Current status first, then keep proxies from closing the idle connection
+    pushStatus(paymentId);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streams.get(paymentId).delete(res);
+        console.log(`📴 Stream closed for ${paymentId}`);
+    });
+};
+
+const server = http.createServer(async (req, res) => {
+    // The app's dev server runs on another port
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-api-key, x-api-secret');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+    const [, section, resource, action, id, publicAction] = pathname.split('/');
+
+    if (req.method === 'GET' && section === 'api' && action === 'public' && id && publicAction === 'stream') {
+        openStream(req, res, decodeURIComponent(id));
+    } else if (req.method === 'GET' && section === 'api' && action === 'public' && id && !publicAction) {
+        sendJson(res, 200, { success: true, payment: getPayment(decodeURIComponent(id)) });
+    } else if (req.method === 'GET' && section === 'api' && action === 'contract' && id) {
+        sendJson(res, 200, { success: true, contractInfo: { address: SPLITTER_ADDRESS, abi: SPLITTER_ABI, chainId: Number(id) } });
+    } else if (req.method === 'POST' && pathname === '/api/payments/links/verify') {
+        // Minimal links need no signature; signed ones are accepted as they are
+        sendJson(res, 200, { success: true, valid: true });
+    } else if (req.method === 'GET' && section === 'api' && action === 'status' && id) {
+        sendJson(res, 200, { success: true, payment: getPayment(decodeURIComponent(id)) });
+    } else if (req.method === 'POST' && pathname === '/api/payments/verify-qr') {
+        const { paymentId } = await readBody(req);
+        const payment = getPayment(paymentId);
+        const verified = payment.status === 'completed';
+        sendJson(res, 200, {
+            success: true,
+            verified,
+            message: verified ? 'Payment verified' : 'Payment not found on blockchain yet',
+            onChainData: verified
+                ? { transactionHash: payment.transactionHash, amount: payment.amountPaid || payment.amount }
+                : undefined
+        });
+    } else if (req.method === 'POST' && pathname === '/api/payments/process') {
+        const { paymentId, transactionHash } = await readBody(req);
+        payments.set(paymentId, { ...getPayment(paymentId), status: 'completed', transactionHash });
+        pushStatus(paymentId);
+        sendJson(res, 200, { success: true, message: 'Payment processed' });
+    } else if (req.method === 'POST' && section === 'test' && resource === 'payments' && action) {
+        // Set a payment's status (and any other fields) and push it to open streams
+        const paymentId = decodeURIComponent(action);
+        payments.set(paymentId, { ...getPayment(paymentId), ...(await readBody(req)) });
+        pushStatus(paymentId);
+        console.log(`💳 ${paymentId} is now ${getPayment(paymentId).status}`);
+        sendJson(res, 200, { success: true, payment: getPayment(paymentId) });
+    } else if (req.method === 'POST' && pathname === '/test/stream') {
+        ({ enabled: streamEnabled = true } = await readBody(req));
+        console.log(`📡 Status stream ${streamEnabled ? 'enabled' : 'disabled'}`);
+        sendJson(res, 200, { success: true, streamEnabled });
+    } else {
+        sendJson(res, 404, { success: false, message: 'Not found' });
+    }
+});
+
+server.listen(PORT, () => console.log(`🧪 Payment status test server on http://localhost:${PORT}`));
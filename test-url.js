@@ -1,3 +1,5 @@
+import { buildCompactPaymentUrl, decodePaymentPayload } from './src/utils/paymentPayload.js';
+
 // Test URL generation for Coinley Payment QR codes
 
 const BASE_URL = 'https://paymentscreen.vercel.app/';
@@ -20,6 +22,11 @@ function generatePaymentURL(paymentData) {
     return BASE_URL + '?' + params.toString();
 }
 
+// Generate the same link with all fields packed into one p= parameter
+function generateCompactPaymentURL(paymentData) {
+    return buildCompactPaymentUrl(BASE_URL, paymentData);
+}
+
 // Test the URL generation
 const paymentURL = generatePaymentURL(samplePayment);
 
@@ -60,7 +67,34 @@ scenarios.forEach(scenario => {
     console.log(`URL: ${url}`);
 });
 
+// Compare with compact p= links (same fields, shared encoder with qr-generator.html)
+console.log('\n📦 Compact payload links:');
+
+const fullPayment = {
+    ...samplePayment,
+    paymentId: '3f2b8c1e-9a4d-4e6f-8b7a-1c2d3e4f5a6b',
+    chainId: '1',
+    contractAddress: '0x1234567890123456789012345678901234567890',
+    tokenContract: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+    tokenDecimals: '6',
+    amountInWei: '99990000',
+    recipient1: '0x742d35cc6495c0a7c8b8e8dd90ec1dd4b1f0e3a8',
+    recipient2: '0x0987654321098765432109876543210987654321',
+    recipient1Percentage: '9700',
+    recipient2Percentage: '300'
+};
+
+const fullUrl = generatePaymentURL(fullPayment);
+const compactUrl = generateCompactPaymentURL(fullPayment);
+console.log(`Full parameters: ${fullUrl.length} chars`);
+console.log(`Compact (p=):    ${compactUrl.length} chars`);
+console.log(`URL: ${compactUrl}`);
+
+const decoded = decodePaymentPayload(new URL(compactUrl).searchParams.get('p'));
+const roundTripOk = Object.entries(fullPayment).every(([key, value]) => decoded[key]?.toLowerCase() === value.toLowerCase());
+console.log(`Round trip: ${roundTripOk ? '✅ all fields decoded' : '❌ mismatch'}`);
+
 // Export for use in QR generator
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { generatePaymentURL, samplePayment };
+    module.exports = { generatePaymentURL, generateCompactPaymentURL, samplePayment };
 }
\ No newline at end of file
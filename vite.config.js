@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
 
 // Clean config for payment screen app
 export default defineConfig({
@@ -9,6 +10,13 @@ export default defineConfig({
     port: 5173
   },
   build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        // Standalone QR generator; its module script imports the shared payload encoder
+        qrGenerator: fileURLToPath(new URL('./qr-generator.html', import.meta.url))
+      }
+    },
     minify: 'terser',
     terserOptions: {
       compress: {